@@ -0,0 +1 @@
+module.exports = require('@jupyterlab/testutils/lib/babel.config');
@@ -0,0 +1,69 @@
+import { FolderListing } from '../folderlisting';
+
+/**
+ * Make a folder object holding a page of results.
+ */
+function makePage(results: any[], next?: string | null): any {
+  return { children: next === undefined ? { results } : { results, next } };
+}
+
+describe('FolderListing', () => {
+  describe('#fetchNext()', () => {
+    it('should request the pages in order with the page size', async () => {
+      const fetchPage = jest.fn(async (page: number) =>
+        makePage([{ filename: `file${page}` }], page < 2 ? 'next' : null)
+      );
+      const listing = new FolderListing({ fetchPage, pageSize: 1 });
+      expect(await listing.fetchNext()).toEqual([{ filename: 'file1' }]);
+      expect(listing.isComplete).toBe(false);
+      expect(await listing.fetchNext()).toEqual([{ filename: 'file2' }]);
+      expect(listing.isComplete).toBe(true);
+      expect(fetchPage.mock.calls).toEqual([
+        [1, 1],
+        [2, 1]
+      ]);
+      expect(listing.pages).toHaveLength(2);
+    });
+
+    it('should not request pages once complete', async () => {
+      const fetchPage = jest.fn(async () => makePage([], null));
+      const listing = new FolderListing({ fetchPage });
+      await listing.fetchNext();
+      expect(await listing.fetchNext()).toEqual([]);
+      expect(fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back on the page size without a next page', async () => {
+      const fetchPage = jest.fn(async (page: number) =>
+        makePage(page === 1 ? [{}, {}] : [{}])
+      );
+      const listing = new FolderListing({ fetchPage, pageSize: 2 });
+      await listing.fetchNext();
+      expect(listing.isComplete).toBe(false);
+      await listing.fetchNext();
+      expect(listing.isComplete).toBe(true);
+    });
+
+    it('should complete on a missing folder', async () => {
+      const listing = new FolderListing({ fetchPage: async () => null });
+      expect(await listing.fetchNext()).toEqual([]);
+      expect(listing.isComplete).toBe(true);
+    });
+  });
+
+  describe('#fetchAll()', () => {
+    it('should fetch the remaining pages and return all results', async () => {
+      const fetchPage = jest.fn(async (page: number) =>
+        makePage([{ filename: `file${page}` }], page < 3 ? 'next' : null)
+      );
+      const listing = new FolderListing({ fetchPage, pageSize: 1 });
+      await listing.fetchNext();
+      expect(await listing.fetchAll()).toEqual([
+        { filename: 'file1' },
+        { filename: 'file2' },
+        { filename: 'file3' }
+      ]);
+      expect(fetchPage).toHaveBeenCalledTimes(3);
+    });
+  });
+});
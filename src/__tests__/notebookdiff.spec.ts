@@ -0,0 +1,100 @@
+import { diffLines, diffNotebooks } from '../notebookdiff';
+
+/**
+ * Make a code cell.
+ */
+function makeCell(source: string, options: { id?: string; outputs?: any[] } = {}): any {
+  return { cell_type: 'code', source, outputs: options.outputs ?? [], id: options.id };
+}
+
+describe('notebookdiff', () => {
+  describe('diffLines()', () => {
+    it('should keep the unchanged lines', () => {
+      expect(diffLines('a\nb', 'a\nb')).toEqual([
+        { type: 'unchanged', text: 'a' },
+        { type: 'unchanged', text: 'b' }
+      ]);
+    });
+
+    it('should align the lines on their longest common subsequence', () => {
+      expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).toEqual([
+        { type: 'unchanged', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'unchanged', text: 'c' },
+        { type: 'added', text: 'x' },
+        { type: 'unchanged', text: 'd' }
+      ]);
+    });
+
+    it('should put removed lines before the added ones replacing them', () => {
+      expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+        { type: 'unchanged', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'added', text: 'x' },
+        { type: 'unchanged', text: 'c' }
+      ]);
+    });
+
+    it('should handle empty texts', () => {
+      expect(diffLines('', '')).toEqual([]);
+      expect(diffLines('', 'a')).toEqual([{ type: 'added', text: 'a' }]);
+      expect(diffLines('a', '')).toEqual([{ type: 'removed', text: 'a' }]);
+    });
+  });
+
+  describe('diffNotebooks()', () => {
+    it('should match cells by type and source without ids', () => {
+      const a = makeCell('a');
+      const b = makeCell('b');
+      const c = makeCell('c');
+      const diffs = diffNotebooks({ cells: [a, b] }, { cells: [c, a, b] });
+      expect(diffs.map(diff => diff.type)).toEqual(['added', 'unchanged', 'unchanged']);
+      expect(diffs[0].newCell).toBe(c);
+    });
+
+    it('should pair unmatched cells of the same type as modified', () => {
+      const diffs = diffNotebooks(
+        { cells: [makeCell('a'), makeCell('x = 1')] },
+        { cells: [makeCell('a'), makeCell('x = 2')] }
+      );
+      expect(diffs.map(diff => diff.type)).toEqual(['unchanged', 'modified']);
+      expect(diffs[1].source).toEqual([
+        { type: 'removed', text: 'x = 1' },
+        { type: 'added', text: 'x = 2' }
+      ]);
+    });
+
+    it('should not pair cells of different types', () => {
+      const markdown = { cell_type: 'markdown', source: 'x' };
+      const diffs = diffNotebooks({ cells: [makeCell('y')] }, { cells: [markdown] });
+      expect(diffs.map(diff => diff.type)).toEqual(['removed', 'added']);
+    });
+
+    it('should match cells by id when they all have one', () => {
+      const diffs = diffNotebooks(
+        { cells: [makeCell('a', { id: '1' }), makeCell('b', { id: '2' })] },
+        { cells: [makeCell('a2', { id: '1' }), makeCell('b', { id: '2' })] }
+      );
+      expect(diffs.map(diff => diff.type)).toEqual(['modified', 'unchanged']);
+      expect(diffs[0].oldCell.source).toBe('a');
+      expect(diffs[0].newCell.source).toBe('a2');
+    });
+
+    it('should report changed outputs', () => {
+      const diffs = diffNotebooks(
+        { cells: [makeCell('a', { id: '1', outputs: [] })] },
+        { cells: [makeCell('a', { id: '1', outputs: [{ output_type: 'stream', text: '1' }] })] }
+      );
+      expect(diffs[0].type).toBe('modified');
+      expect(diffs[0].outputsChanged).toBe(true);
+    });
+
+    it('should join the sources given as lists of lines', () => {
+      const diffs = diffNotebooks(
+        { cells: [{ cell_type: 'code', source: ['a\n', 'b'], outputs: [] }] },
+        { cells: [{ cell_type: 'code', source: 'a\nb', outputs: [] }] }
+      );
+      expect(diffs.map(diff => diff.type)).toEqual(['unchanged']);
+    });
+  });
+});
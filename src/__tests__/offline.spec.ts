@@ -0,0 +1,162 @@
+import 'fake-indexeddb/auto';
+import { OfflineStore } from '../offline';
+import { ServerConnection } from '../serverconnection';
+
+// jsdom does not provide structuredClone, which fake-indexeddb needs; the
+// stored values are plain JSON
+if (typeof structuredClone === 'undefined') {
+  globalThis.structuredClone = (value: any) => JSON.parse(JSON.stringify(value));
+}
+
+let count = 0;
+
+/**
+ * Make a store replaying operations with a replay function.
+ */
+function makeStore(replay: (operation: OfflineStore.Operation) => Promise<boolean>): OfflineStore {
+  return new OfflineStore({
+    name: `figlinq-test-${count++}`,
+    probe: async () => undefined,
+    replay
+  });
+}
+
+/**
+ * Sync a store and resolve with the result it emits, if any.
+ */
+async function sync(store: OfflineStore): Promise<OfflineStore.ISyncResult | null> {
+  let result: OfflineStore.ISyncResult | null = null;
+  const onSynced = (_: OfflineStore, args: OfflineStore.ISyncResult) => {
+    result = args;
+  };
+  store.synced.connect(onSynced);
+  await store.sync();
+  store.synced.disconnect(onSynced);
+  return result;
+}
+
+const operations: OfflineStore.Operation[] = [
+  { type: 'save', path: 'a.ipynb', content: {} },
+  { type: 'rename', path: 'a.ipynb', newPath: 'b.ipynb' },
+  { type: 'delete', path: 'c.ipynb' }
+];
+
+describe('OfflineStore', () => {
+  let store: OfflineStore;
+
+  afterEach(() => {
+    store.dispose();
+  });
+
+  describe('#pending()', () => {
+    it('should return the queued operations oldest first', async () => {
+      store = makeStore(async () => false);
+      for (const operation of operations) {
+        await store.enqueue(operation);
+      }
+      const pending = await store.pending();
+      expect(pending.map(({ id, ...operation }) => operation)).toEqual(operations);
+    });
+  });
+
+  describe('#sync()', () => {
+    it('should replay the queued operations in order', async () => {
+      const replayed: OfflineStore.Operation[] = [];
+      store = makeStore(async operation => {
+        replayed.push(operation);
+        return operation.type === 'save';
+      });
+      for (const operation of operations) {
+        await store.enqueue(operation);
+      }
+      const result = await sync(store);
+      expect(replayed).toEqual(operations);
+      expect(result).toEqual({ replayed: 3, conflicts: ['a.ipynb'], dropped: [] });
+      expect(await store.pending()).toEqual([]);
+    });
+
+    it('should drop the operations the server rejects', async () => {
+      const error = new ServerConnection.NotFoundError(new Response(null, { status: 404 }));
+      const replayed: OfflineStore.Operation[] = [];
+      store = makeStore(async operation => {
+        if (operation.type === 'rename') {
+          throw error;
+        }
+        replayed.push(operation);
+        return false;
+      });
+      for (const operation of operations) {
+        await store.enqueue(operation);
+      }
+      const result = await sync(store);
+      expect(replayed).toEqual([operations[0], operations[2]]);
+      expect(result?.replayed).toBe(2);
+      expect(result?.dropped).toEqual([{ operation: operations[1], error }]);
+      expect(await store.pending()).toEqual([]);
+    });
+
+    it('should stop at an operation failing to reach the server', async () => {
+      const error = new ServerConnection.NetworkError(new TypeError('Failed to fetch'));
+      const replayed: OfflineStore.Operation[] = [];
+      store = makeStore(async operation => {
+        if (operation.type === 'rename') {
+          throw error;
+        }
+        replayed.push(operation);
+        return false;
+      });
+      for (const operation of operations) {
+        await store.enqueue(operation);
+      }
+      const result = await sync(store);
+      expect(replayed).toEqual([operations[0]]);
+      expect(result).toEqual({ replayed: 1, conflicts: [], dropped: [], error });
+      const pending = await store.pending();
+      expect(pending.map(({ id, ...operation }) => operation)).toEqual(operations.slice(1));
+    });
+
+    it('should drop the operations failing in the drive', async () => {
+      const error = new Error('Files cannot be created here');
+      store = makeStore(async operation => {
+        if (operation.type === 'save') {
+          throw error;
+        }
+        return false;
+      });
+      for (const operation of operations) {
+        await store.enqueue(operation);
+      }
+      const result = await sync(store);
+      expect(result?.replayed).toBe(2);
+      expect(result?.dropped).toEqual([{ operation: operations[0], error }]);
+      expect(await store.pending()).toEqual([]);
+    });
+
+    it('should stop at an operation failing on the server', async () => {
+      const error = new ServerConnection.ResponseError(new Response(null, { status: 500 }));
+      store = makeStore(async () => {
+        throw error;
+      });
+      await store.enqueue(operations[0]);
+      const result = await sync(store);
+      expect(result).toEqual({ replayed: 0, conflicts: [], dropped: [], error });
+      expect(await store.pending()).toHaveLength(1);
+    });
+
+    it('should keep the operations rate limited by the server', async () => {
+      const error = new ServerConnection.ResponseError(new Response(null, { status: 429 }));
+      store = makeStore(async () => {
+        throw error;
+      });
+      await store.enqueue(operations[0]);
+      const result = await sync(store);
+      expect(result).toEqual({ replayed: 0, conflicts: [], dropped: [], error });
+      expect(await store.pending()).toHaveLength(1);
+    });
+
+    it('should not emit when the queue is empty', async () => {
+      store = makeStore(async () => false);
+      expect(await sync(store)).toBeNull();
+    });
+  });
+});
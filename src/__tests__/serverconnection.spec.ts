@@ -0,0 +1,220 @@
+import { ServerConnection } from '../serverconnection';
+
+const BASE_URL = 'http://localhost/';
+
+const FOLDER_URL = `${BASE_URL}v2/folders/home`;
+
+/**
+ * Make server settings whose fetch answers with the given responses in turn,
+ * or fails with a network error for the `TypeError`s.
+ */
+function makeSettings(answers: (Response | TypeError)[]): {
+  settings: ServerConnection.ISettings;
+  fetch: jest.Mock;
+} {
+  const fetch = jest.fn(async () => {
+    const answer = answers.shift();
+    if (!answer) {
+      throw new Error('Unexpected request');
+    }
+    if (answer instanceof TypeError) {
+      throw answer;
+    }
+    return answer;
+  });
+  const settings = ServerConnection.makeSettings({
+    baseUrl: BASE_URL,
+    fetch: fetch as any,
+    retry: { retries: 3, delay: 500, maxDelay: 8000, statuses: [429, 502, 503] }
+  });
+  return { settings, fetch };
+}
+
+/**
+ * Make a response with a status and headers.
+ */
+function makeResponse(status: number, headers: Record<string, string> = {}): Response {
+  return new Response(null, { status, headers });
+}
+
+describe('ServerConnection', () => {
+  describe('.makeRequest()', () => {
+    let statuses: ServerConnection.ConnectionStatus[];
+
+    const onStatus = (_: unknown, status: ServerConnection.ConnectionStatus) => {
+      statuses.push(status);
+    };
+
+    beforeEach(async () => {
+      // Start each test connected
+      const { settings } = makeSettings([makeResponse(200)]);
+      await ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      statuses = [];
+      ServerConnection.connectionStatus.connect(onStatus);
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      ServerConnection.connectionStatus.disconnect(onStatus);
+    });
+
+    it('should return the response without retrying on success', async () => {
+      const { settings, fetch } = makeSettings([makeResponse(200)]);
+      const response = await ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(statuses).toEqual([]);
+    });
+
+    it('should not retry the other statuses', async () => {
+      const { settings, fetch } = makeSettings([makeResponse(500)]);
+      const response = await ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      expect(response.status).toBe(500);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(ServerConnection.getConnectionStatus()).toBe('connected');
+    });
+
+    it('should retry idempotent requests until they succeed', async () => {
+      const { settings, fetch } = makeSettings([makeResponse(503), makeResponse(200)]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, { method: 'PUT' });
+      await jest.runAllTimersAsync();
+      expect((await promise).status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(statuses).toEqual(['reconnecting', 'connected']);
+    });
+
+    it('should give up after the retries', async () => {
+      const { settings, fetch } = makeSettings([
+        makeResponse(502),
+        makeResponse(502),
+        makeResponse(502),
+        makeResponse(502)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      await jest.runAllTimersAsync();
+      expect((await promise).status).toBe(502);
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(statuses).toEqual(['reconnecting', 'offline']);
+    });
+
+    it('should double the delay after each attempt', async () => {
+      const { settings, fetch } = makeSettings([
+        makeResponse(502),
+        makeResponse(502),
+        makeResponse(200)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      await jest.advanceTimersByTimeAsync(499);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(999);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect((await promise).status).toBe(200);
+    });
+
+    it('should wait as long as the Retry-After header asks', async () => {
+      const { settings, fetch } = makeSettings([
+        makeResponse(503, { 'Retry-After': '2' }),
+        makeResponse(200)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect((await promise).status).toBe(200);
+    });
+
+    it('should cap the delay asked by the Retry-After header', async () => {
+      const { settings, fetch } = makeSettings([
+        makeResponse(429, { 'Retry-After': '60' }),
+        makeResponse(200)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      await jest.advanceTimersByTimeAsync(8000);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect((await promise).status).toBe(200);
+    });
+
+    it('should not retry non-idempotent requests the server may have handled', async () => {
+      for (const method of ['POST', 'PATCH']) {
+        for (const status of [502, 503]) {
+          const { settings, fetch } = makeSettings([makeResponse(status)]);
+          const response = await ServerConnection.makeRequest(settings, FOLDER_URL, { method });
+          expect(response.status).toBe(status);
+          expect(fetch).toHaveBeenCalledTimes(1);
+        }
+      }
+      expect(statuses).toEqual(['offline']);
+    });
+
+    it('should retry non-idempotent requests on 429', async () => {
+      const { settings, fetch } = makeSettings([makeResponse(429), makeResponse(201)]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, { method: 'POST' });
+      await jest.runAllTimersAsync();
+      expect((await promise).status).toBe(201);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry non-idempotent requests on 503 with a Retry-After header', async () => {
+      const { settings, fetch } = makeSettings([
+        makeResponse(503, { 'Retry-After': '1' }),
+        makeResponse(200)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, { method: 'PATCH' });
+      await jest.runAllTimersAsync();
+      expect((await promise).status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry idempotent requests on network errors', async () => {
+      const { settings, fetch } = makeSettings([
+        new TypeError('Failed to fetch'),
+        makeResponse(200)
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      await jest.runAllTimersAsync();
+      expect((await promise).status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(statuses).toEqual(['reconnecting', 'connected']);
+    });
+
+    it('should go offline when the server cannot be reached', async () => {
+      const { settings, fetch } = makeSettings([
+        new TypeError('Failed to fetch'),
+        new TypeError('Failed to fetch'),
+        new TypeError('Failed to fetch'),
+        new TypeError('Failed to fetch')
+      ]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      const rejected = expect(promise).rejects.toBeInstanceOf(ServerConnection.NetworkError);
+      await jest.runAllTimersAsync();
+      await rejected;
+      expect(fetch).toHaveBeenCalledTimes(4);
+      expect(statuses).toEqual(['reconnecting', 'offline']);
+    });
+
+    it('should not retry non-idempotent requests on network errors', async () => {
+      const { settings, fetch } = makeSettings([new TypeError('Failed to fetch')]);
+      const promise = ServerConnection.makeRequest(settings, FOLDER_URL, { method: 'POST' });
+      await expect(promise).rejects.toBeInstanceOf(ServerConnection.NetworkError);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(statuses).toEqual(['offline']);
+    });
+
+    it('should reconnect on the next response', async () => {
+      const failing = makeSettings([new TypeError('Failed to fetch')]);
+      await expect(
+        ServerConnection.makeRequest(failing.settings, FOLDER_URL, { method: 'POST' })
+      ).rejects.toBeInstanceOf(ServerConnection.NetworkError);
+      const { settings } = makeSettings([makeResponse(200)]);
+      await ServerConnection.makeRequest(settings, FOLDER_URL, {});
+      expect(statuses).toEqual(['offline', 'connected']);
+      expect(ServerConnection.getConnectionStatus()).toBe('connected');
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { FileBrowser } from '@jupyterlab/filebrowser';
+import { IWidgetTracker } from '@jupyterlab/apputils';
+import { Drive } from './drive';
+
+/**
+ * A Figlinq file browser and the drive it shows.
+ */
+export interface IDriveBrowser {
+  /**
+   * The file browser.
+   */
+  widget: FileBrowser;
+
+  /**
+   * The drive shown in the file browser.
+   */
+  drive: Drive;
+}
+
+/**
+ * The Figlinq file browsers, one per drive.
+ *
+ * #### Notes
+ * Commands act on the Figlinq browser focused last, as the JupyterLab file
+ * browser commands do.
+ */
+export class DriveBrowsers {
+  /**
+   * Construct a new set of drive browsers.
+   *
+   * @param tracker - The tracker of the application file browsers.
+   */
+  constructor(tracker: IWidgetTracker<FileBrowser>) {
+    this._tracker = tracker;
+  }
+
+  /**
+   * The drive browsers, in the order they were added.
+   */
+  get items(): ReadonlyArray<IDriveBrowser> {
+    return this._items;
+  }
+
+  /**
+   * The drive browser focused last, or the first one if no Figlinq browser
+   * was focused yet.
+   */
+  get current(): IDriveBrowser | null {
+    const widget = this._tracker.currentWidget;
+    return this._items.find(item => item.widget === widget) ?? this._items[0] ?? null;
+  }
+
+  /**
+   * Add a drive browser.
+   */
+  add(widget: FileBrowser, drive: Drive): void {
+    this._items.push({ widget, drive });
+  }
+
+  /**
+   * Find the drive with a given name.
+   */
+  findDrive(name: string): Drive | undefined {
+    return this._items.find(item => item.drive.name === name)?.drive;
+  }
+
+  /**
+   * Find the drive of a global path, and the path in that drive.
+   *
+   * @returns The drive and the drive-local path, or `null` if the path does
+   *   not belong to a Figlinq drive.
+   */
+  resolve(path: string): { drive: Drive; localPath: string } | null {
+    const [driveName, ...localPath] = path.split(':');
+    const drive = this.findDrive(driveName);
+    return drive ? { drive, localPath: localPath.join(':') } : null;
+  }
+
+  private _tracker: IWidgetTracker<FileBrowser>;
+  private _items: IDriveBrowser[] = [];
+}
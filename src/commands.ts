@@ -2,11 +2,19 @@ import { CommandRegistry } from '@lumino/commands';
 import { NotebookPanel, NotebookActions, INotebookTracker } from '@jupyterlab/notebook';
 import { JupyterFrontEnd } from '@jupyterlab/application';
 import { FileBrowser } from '@jupyterlab/filebrowser';
-import { Drive } from './drive';
+import { EXPORT_FORMATS, TRASH_PATH } from './drive';
+import { DriveBrowsers } from './browsers';
 import { showDialog, Dialog } from '@jupyterlab/apputils';
 import { Menu } from '@lumino/widgets';
 import { createIcon } from './icons';
-import { mdiViewGridPlusOutline } from '@mdi/js';
+import { mdiDeleteForeverOutline, mdiDeleteRestore, mdiDownload, mdiFileCompare, mdiInformationOutline, mdiShareVariantOutline, mdiViewGridPlusOutline } from '@mdi/js';
+import { showShareDialog } from './sharing';
+import { showPropertiesDialog } from './properties';
+import { notifyError } from './errors';
+import { ISettingRegistry } from '@jupyterlab/settingregistry';
+import { TranslationBundle } from '@jupyterlab/translation';
+import { revisionLabel } from './history';
+import { openNotebookDiff } from './notebookdiff';
 
 const ORIGIN = window.parent.location.origin;
 
@@ -40,7 +48,7 @@ const showErrorDialog = (body:string, title:string) => {
 }
 
 async function insertCode(
-    { commands, notebookTracker, app, widget }: { commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, widget: FileBrowser },
+    { commands, notebookTracker, app, browsers }: { commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, browsers: DriveBrowsers },
   args: any) {  
     
     // Get the active notebook
@@ -77,20 +85,27 @@ async function insertCode(
 }
 
 async function insertDataImportCode(
-  { commands, notebookTracker, app, widget }:
-    { commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, widget: FileBrowser }) {
+  { commands, notebookTracker, app, browsers }:
+    { commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, browsers: DriveBrowsers },
+  args: any) {
 
-  const item = widget.selectedItems().next();
-  if (!item) {
+  // The grid viewer passes the path of its grid, the file browser uses its selection
+  let pathStr = args?.path;
+  if (!pathStr) {
+    const item = browsers.current?.widget.selectedItems().next();
+    if (!item?.value) {
+      return;
+    }
+    pathStr = item.value.path;
+  }
+  const resolved = browsers.resolve(pathStr);
+  if (!resolved) {
     return;
   }
-  const pathStr = item.value.path;
-  // Remove the drive name from the path
-  const path = pathStr.split(':').slice(1).join(':');
+  const path = resolved.localPath;
 
   // Lookup the file
-  const drive = new Drive();
-  const file = await drive.lookup(path);
+  const file = await resolved.drive.lookup(path);
   if (!file) {
     showErrorDialog(`Failed to load file with path ${path}.`, 'File loading error');
     return;
@@ -103,7 +118,7 @@ async function insertDataImportCode(
   const snippet = `# Patch http requests (required for importing data into Python execution environment) \nimport pyodide_http\npyodide_http.patch_all()\n# Load data from ${file.filename} to Pandas dataframe\nimport pandas as pd\ndata = pd.read_csv('${URL}')\ndata.head()`;
 
   // Insert the code into the active cell
-  insertCode({ commands, notebookTracker, app, widget }, { snippet });
+  insertCode({ commands, notebookTracker, app, browsers }, { snippet });
 }
 
 const FIGLINQ_COMMANDS = [
@@ -122,13 +137,13 @@ const FIGLINQ_COMMANDS = [
   }
 ];
 
-export function addContextMenuCommands(commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, widget: FileBrowser) {
+export function addContextMenuCommands(commands: CommandRegistry, notebookTracker: INotebookTracker, app: JupyterFrontEnd, browsers: DriveBrowsers) {
 
   const infra = {
     commands,
     notebookTracker,
     app,
-    widget
+    browsers
   }
 
   // Add commands from COMMANDS
@@ -136,8 +151,8 @@ export function addContextMenuCommands(commands: CommandRegistry, notebookTracke
     commands.addCommand(command, {
       label: label,
       icon: createIcon(icon),
-      execute: () => {
-        execute(infra, args);
+      execute: commandArgs => {
+        execute(infra, { ...args, ...commandArgs });
       }
     });
   });
@@ -163,4 +178,288 @@ export function addContextMenuCommands(commands: CommandRegistry, notebookTracke
       selector: '.jp-DirListing-item', // Selector for the context menu item
       rank: 10, // Rank in the context menu
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Get the drive-local paths of the items selected in the file browser.
+ */
+function selectedLocalPaths(widget: FileBrowser): string[] {
+  return Array.from(widget.selectedItems()).map(item => item.path.split(':').slice(1).join(':'));
+}
+
+/**
+ * Add the commands to restore and permanently delete files in the trash folder.
+ *
+ * @param commands - The command registry.
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browsers - The Figlinq file browsers.
+ *
+ * The commands only show in the context menu while the file browser is in the trash folder.
+ */
+export function addTrashCommands(commands: CommandRegistry, app: JupyterFrontEnd, browsers: DriveBrowsers) {
+  const isVisible = () => {
+    const browser = browsers.current;
+    return !!browser && browser.widget.model.path === `${browser.drive.name}:${TRASH_PATH}`;
+  };
+
+  commands.addCommand('filebrowser:fq-restore-from-trash', {
+    label: 'Restore',
+    icon: createIcon(mdiDeleteRestore),
+    isVisible,
+    execute: async () => {
+      const { widget, drive } = browsers.current!;
+      try {
+        await Promise.all(selectedLocalPaths(widget).map(path => drive.restoreFromTrash(path)));
+      } catch (error) {
+        notifyError(error, 'Restore error');
+      }
+    }
+  });
+
+  commands.addCommand('filebrowser:fq-delete-permanently', {
+    label: 'Delete Permanently',
+    icon: createIcon(mdiDeleteForeverOutline),
+    isVisible,
+    execute: async () => {
+      const { widget, drive } = browsers.current!;
+      const paths = selectedLocalPaths(widget);
+      if (!paths.length) {
+        return;
+      }
+      const result = await showDialog({
+        title: 'Delete permanently',
+        body: paths.length === 1
+          ? `Are you sure you want to permanently delete "${paths[0].slice(TRASH_PATH.length + 1)}"? This cannot be undone.`
+          : `Are you sure you want to permanently delete the ${paths.length} selected files? This cannot be undone.`,
+        buttons: [Dialog.cancelButton(), Dialog.warnButton({ label: 'Delete' })]
+      });
+      if (!result.button.accept) {
+        return;
+      }
+      try {
+        await Promise.all(paths.map(path => drive.deletePermanently(path)));
+      } catch (error) {
+        notifyError(error, 'Delete error');
+      }
+    }
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-restore-from-trash',
+    selector: '.jp-DirListing-item',
+    rank: 1,
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-delete-permanently',
+    selector: '.jp-DirListing-item',
+    rank: 1.1,
+  });
+}
+
+/**
+ * Add the commands to share files and to set the privacy of new files.
+ *
+ * @param commands - The command registry.
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browsers - The Figlinq file browsers.
+ * @param settings - The plugin settings, to remember the privacy of new files.
+ */
+export function addSharingCommands(commands: CommandRegistry, app: JupyterFrontEnd, browsers: DriveBrowsers, settings: ISettingRegistry.ISettings | null = null) {
+  commands.addCommand('filebrowser:fq-share', {
+    label: 'Share…',
+    icon: createIcon(mdiShareVariantOutline),
+    isVisible: () => {
+      const browser = browsers.current;
+      return (
+        !!browser &&
+        browser.widget.model.path !== `${browser.drive.name}:${TRASH_PATH}` &&
+        selectedLocalPaths(browser.widget).length === 1
+      );
+    },
+    execute: async () => {
+      const { widget, drive } = browsers.current!;
+      const [path] = selectedLocalPaths(widget);
+      if (path) {
+        await showShareDialog(drive, path);
+      }
+    }
+  });
+
+  commands.addCommand('filebrowser:fq-toggle-default-public', {
+    label: 'Make New Files Public',
+    isToggled: () => !!browsers.current?.drive.defaultWorldReadable,
+    execute: () => {
+      const worldReadable = !browsers.current?.drive.defaultWorldReadable;
+      for (const { drive } of browsers.items) {
+        drive.defaultWorldReadable = worldReadable;
+      }
+      settings?.set('defaultWorldReadable', worldReadable).catch(reason => {
+        console.error('Failed to save the privacy of new files.', reason);
+      });
+    }
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-share',
+    selector: '.jp-DirListing-item',
+    rank: 9.8,
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-toggle-default-public',
+    selector: '.jp-DirListing-content',
+    rank: 10.1,
+  });
+}
+
+/**
+ * Add a "Properties" command showing the metadata of the selected file.
+ *
+ * @param commands - The command registry.
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browsers - The Figlinq file browsers.
+ */
+export function addPropertiesCommands(commands: CommandRegistry, app: JupyterFrontEnd, browsers: DriveBrowsers) {
+  commands.addCommand('filebrowser:fq-properties', {
+    label: 'Properties…',
+    icon: createIcon(mdiInformationOutline),
+    isVisible: () => {
+      const browser = browsers.current;
+      return (
+        !!browser &&
+        browser.widget.model.path !== `${browser.drive.name}:${TRASH_PATH}` &&
+        selectedLocalPaths(browser.widget).length === 1
+      );
+    },
+    execute: async () => {
+      const { widget, drive } = browsers.current!;
+      const [path] = selectedLocalPaths(widget);
+      if (path) {
+        await showPropertiesDialog(drive, path);
+      }
+    }
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-properties',
+    selector: '.jp-DirListing-item',
+    rank: 10.2,
+  });
+}
+
+/**
+ * Add a "Download As" submenu offering the export formats of plots.
+ *
+ * @param commands - The command registry.
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browsers - The Figlinq file browsers.
+ *
+ * Other filetypes have a single export format, used by the file browser "Download" command.
+ */
+export function addDownloadCommands(commands: CommandRegistry, app: JupyterFrontEnd, browsers: DriveBrowsers) {
+  const isPlotSelected = () => {
+    const browser = browsers.current;
+    if (!browser) {
+      return false;
+    }
+    const items = Array.from(browser.widget.selectedItems());
+    return items.length === 1 && items[0].mimetype === 'figlinq/plot';
+  };
+
+  commands.addCommand('filebrowser:fq-download-as', {
+    label: args => String(args.format).toUpperCase(),
+    icon: createIcon(mdiDownload),
+    isVisible: isPlotSelected,
+    execute: async args => {
+      const { widget, drive } = browsers.current!;
+      const [path] = selectedLocalPaths(widget);
+      try {
+        const url = await drive.getExportUrl(path, args.format as string);
+        const element = document.createElement('a');
+        element.href = url;
+        element.download = '';
+        document.body.appendChild(element);
+        element.click();
+        document.body.removeChild(element);
+      } catch (error) {
+        notifyError(error, 'Download error');
+      }
+    }
+  });
+
+  const subMenu = new Menu({ commands });
+  subMenu.title.label = 'Download As';
+  EXPORT_FORMATS.plot.forEach(format => {
+    subMenu.addItem({ command: 'filebrowser:fq-download-as', args: { format } });
+  });
+
+  app.contextMenu.addItem({
+    type: 'submenu',
+    submenu: subMenu,
+    selector: '.jp-DirListing-item',
+    rank: 9.7,
+  });
+}
+
+/**
+ * Add a "Compare with Previous Revision" command for notebooks.
+ *
+ * @param commands - The command registry.
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browsers - The Figlinq file browsers.
+ * @param trans - The translation bundle of the extension.
+ *
+ * The saved notebook is compared with its latest revision created before the
+ * last save. Saves do not always create a revision, so the latest revision may
+ * be older than the saved content, or be the saved content itself.
+ */
+export function addCompareCommands(commands: CommandRegistry, app: JupyterFrontEnd, browsers: DriveBrowsers, trans: TranslationBundle) {
+  commands.addCommand('filebrowser:fq-compare-previous-revision', {
+    label: 'Compare with Previous Revision',
+    icon: createIcon(mdiFileCompare),
+    isVisible: () => {
+      const browser = browsers.current;
+      if (!browser || browser.widget.model.path === `${browser.drive.name}:${TRASH_PATH}`) {
+        return false;
+      }
+      const items = Array.from(browser.widget.selectedItems());
+      return items.length === 1 && items[0].type === 'notebook';
+    },
+    execute: async () => {
+      const { widget, drive } = browsers.current!;
+      const [path] = selectedLocalPaths(widget);
+      try {
+        const file = await drive.lookup(path);
+        const [saved, revisions] = await Promise.all([
+          drive.get(path, { type: 'notebook', content: true }),
+          drive.listRevisions(file.fid)
+        ]);
+        const savedTime = Date.parse(saved.last_modified);
+        const previous = revisions
+          .filter(revision => Date.parse(revision.creation_time) < savedTime)
+          .pop();
+        if (!previous) {
+          showErrorDialog('This notebook has no previous revision to compare with.', 'Nothing to compare');
+          return;
+        }
+        const oldContent = await drive.getRevisionContent(file.fid, String(previous.id));
+        openNotebookDiff(app, `${file.filename} (changes)`, {
+          oldContent,
+          newContent: saved.content,
+          oldLabel: revisionLabel(previous),
+          newLabel: trans.__('Saved'),
+          trans
+        });
+      } catch (error) {
+        notifyError(error, 'Compare error');
+      }
+    }
+  });
+
+  app.contextMenu.addItem({
+    command: 'filebrowser:fq-compare-previous-revision',
+    selector: '.jp-DirListing-item',
+    rank: 9.85,
+  });
+}
@@ -0,0 +1,343 @@
+import { JupyterFrontEnd } from '@jupyterlab/application';
+import { DocumentWidget } from '@jupyterlab/docregistry';
+import { FileBrowser } from '@jupyterlab/filebrowser';
+import { NotebookPanel } from '@jupyterlab/notebook';
+import { IDisposable } from '@lumino/disposable';
+import { Signal } from '@lumino/signaling';
+import { Widget } from '@lumino/widgets';
+import { DriveBrowsers } from './browsers';
+import { Drive } from './drive';
+import { notifyError } from './errors';
+
+/**
+ * The query parameter of the files to open and the folder to browse, by fid.
+ * It can be repeated, or hold several comma-separated fids.
+ */
+const FID_PARAM = 'fid';
+
+/**
+ * The query parameter of the folder to browse, by fid.
+ */
+const FOLDER_PARAM = 'folder';
+
+/**
+ * The query parameter of the files to open and the folder to browse, by path
+ * in My files. It can be repeated.
+ */
+const PATH_PARAM = 'path';
+
+/**
+ * The query parameter of the cell to scroll to in the last notebook opened,
+ * by index or by cell id.
+ */
+const CELL_PARAM = 'cell';
+
+/**
+ * Deep links to Figlinq files and folders, kept in sync with the host page.
+ *
+ * #### Notes
+ * Links are read from the query string of the parent window, which hosts
+ * JupyterLite in the Figlinq app, at startup and when it navigates back or
+ * forward. The query string is then kept in sync with the active document, its
+ * active cell and the folder shown in My files, with `history.replaceState`.
+ * Parameters unrelated to deep links are kept as they are. Nothing is synced
+ * when the parent window cannot be accessed, e.g. from another origin.
+ */
+export class DeepLinks implements IDisposable {
+  /**
+   * Construct new deep links.
+   *
+   * @param options - The options used to initialize the deep links.
+   */
+  constructor(options: DeepLinks.IOptions) {
+    this._app = options.app;
+    this._browsers = options.browsers;
+    this._drive = options.drive;
+    this._widget = options.widget;
+    this._open = options.open;
+
+    this._app.shell.currentChanged?.connect(this._onCurrentChanged, this);
+    this._widget.model.pathChanged.connect(this._scheduleSync, this);
+    Private.parentWindow()?.addEventListener('popstate', this._onPopState);
+  }
+
+  /**
+   * Test whether the deep links have been disposed.
+   */
+  get isDisposed(): boolean {
+    return this._isDisposed;
+  }
+
+  /**
+   * Dispose of the resources held by the deep links.
+   */
+  dispose(): void {
+    if (this._isDisposed) {
+      return;
+    }
+    this._isDisposed = true;
+    Private.parentWindow()?.removeEventListener('popstate', this._onPopState);
+    Signal.clearData(this);
+  }
+
+  /**
+   * Open the files and browse the folder of the parent window deep link.
+   */
+  async apply(): Promise<void> {
+    const parent = Private.parentWindow();
+    if (!parent) {
+      return;
+    }
+    const link = DeepLinks.parse(parent.location.search);
+    // Keep the link in the address bar until it is fully applied
+    this._applying = true;
+    try {
+      let folder: string | null = null;
+      let notebook: NotebookPanel | null = null;
+      const targets = [
+        ...link.fids.map(fid => ({ fid, path: null as string | null })),
+        ...link.paths.map(path => ({ fid: null as string | null, path }))
+      ];
+      for (const target of targets) {
+        try {
+          const path = target.path ?? (await this._drive.getPath(target.fid!));
+          const file = await this._drive.lookup(path);
+          if (file.filetype === 'fold') {
+            folder = path;
+            continue;
+          }
+          const widget = await this._open(path, file);
+          if (widget instanceof NotebookPanel) {
+            notebook = widget;
+          }
+          folder = folder ?? path.split('/').slice(0, -1).join('/');
+        } catch (error) {
+          notifyError(error, `Failed to open ${target.fid ?? target.path}`);
+        }
+      }
+      if (link.folder) {
+        try {
+          folder = await this._drive.getPath(link.folder);
+        } catch (error) {
+          notifyError(error, `Failed to open folder ${link.folder}`);
+        }
+      }
+      if (folder !== null) {
+        await this._widget.model.cd(`/${folder}`);
+      }
+      if (notebook && link.cell !== null) {
+        await Private.scrollToCell(notebook, link.cell);
+      }
+    } finally {
+      this._applying = false;
+    }
+    this._scheduleSync();
+  }
+
+  private _onPopState = (): void => {
+    void this.apply();
+  };
+
+  /**
+   * Follow the active cell of the active notebook.
+   */
+  private _onCurrentChanged(): void {
+    this._notebook?.content.activeCellChanged.disconnect(this._scheduleSync, this);
+    const current = this._app.shell.currentWidget;
+    this._notebook = current instanceof NotebookPanel ? current : null;
+    this._notebook?.content.activeCellChanged.connect(this._scheduleSync, this);
+    this._scheduleSync();
+  }
+
+  /**
+   * Sync the parent window URL, once the events of the current tick are handled.
+   */
+  private _scheduleSync(): void {
+    if (this._syncScheduled) {
+      return;
+    }
+    this._syncScheduled = true;
+    void Promise.resolve().then(async () => {
+      this._syncScheduled = false;
+      try {
+        await this._sync();
+      } catch (error) {
+        console.warn('Could not sync the deep link', error);
+      }
+    });
+  }
+
+  /**
+   * Write the active document and the browsed folder in the parent window URL.
+   */
+  private async _sync(): Promise<void> {
+    const parent = Private.parentWindow();
+    if (!parent || this._applying || this._isDisposed) {
+      return;
+    }
+    const sync = ++this._syncCount;
+
+    let fid: string | null = null;
+    let cell: string | null = null;
+    const current = this._app.shell.currentWidget;
+    if (current instanceof DocumentWidget) {
+      const resolved = this._browsers.resolve(current.context.path);
+      if (resolved) {
+        fid = (await resolved.drive.lookup(resolved.localPath)).fid;
+      }
+      if (current instanceof NotebookPanel && current.content.activeCellIndex > 0) {
+        cell = String(current.content.activeCellIndex);
+      }
+    }
+
+    let folder: string | null = null;
+    const folderPath = this._widget.model.path.split(':').slice(1).join(':').replace(/^\/+/, '');
+    if (folderPath && !folderPath.startsWith('.')) {
+      folder = (await this._drive.lookup(folderPath)).fid;
+    }
+
+    // A newer sync started meanwhile
+    if (sync !== this._syncCount || this._applying) {
+      return;
+    }
+    const url = new URL(parent.location.href);
+    for (const param of [FID_PARAM, FOLDER_PARAM, PATH_PARAM, CELL_PARAM]) {
+      url.searchParams.delete(param);
+    }
+    if (fid) {
+      url.searchParams.set(FID_PARAM, fid);
+    }
+    if (folder) {
+      url.searchParams.set(FOLDER_PARAM, folder);
+    }
+    if (cell) {
+      url.searchParams.set(CELL_PARAM, cell);
+    }
+    if (url.href !== parent.location.href) {
+      parent.history.replaceState(parent.history.state, '', url.href);
+    }
+  }
+
+  private _app: JupyterFrontEnd;
+  private _browsers: DriveBrowsers;
+  private _drive: Drive;
+  private _widget: FileBrowser;
+  private _open: (path: string, file: any) => Promise<Widget | undefined>;
+  private _notebook: NotebookPanel | null = null;
+  private _applying = false;
+  private _syncScheduled = false;
+  private _syncCount = 0;
+  private _isDisposed = false;
+}
+
+/**
+ * A namespace for DeepLinks statics.
+ */
+export namespace DeepLinks {
+  /**
+   * The options used to initialize `DeepLinks`.
+   */
+  export interface IOptions {
+    /**
+     * The application.
+     */
+    app: JupyterFrontEnd;
+
+    /**
+     * The Figlinq file browsers.
+     */
+    browsers: DriveBrowsers;
+
+    /**
+     * The drive of My files, which deep links refer to.
+     */
+    drive: Drive;
+
+    /**
+     * The file browser of My files.
+     */
+    widget: FileBrowser;
+
+    /**
+     * Open a file, given its path in My files and its Figlinq file object.
+     */
+    open: (path: string, file: any) => Promise<Widget | undefined>;
+  }
+
+  /**
+   * The targets of a deep link.
+   */
+  export interface ILink {
+    /**
+     * The fids of the files to open or the folder to browse.
+     */
+    fids: string[];
+
+    /**
+     * The fid of the folder to browse, if any.
+     */
+    folder: string | null;
+
+    /**
+     * The paths in My files of the files to open or the folder to browse.
+     */
+    paths: string[];
+
+    /**
+     * The index or id of the cell to scroll to, if any.
+     */
+    cell: string | null;
+  }
+
+  /**
+   * Parse the deep link of a query string.
+   */
+  export function parse(search: string): ILink {
+    const params = new URLSearchParams(search);
+    return {
+      fids: params
+        .getAll(FID_PARAM)
+        .flatMap(value => value.split(','))
+        .map(fid => fid.trim())
+        .filter(fid => fid),
+      folder: params.get(FOLDER_PARAM) || null,
+      paths: params.getAll(PATH_PARAM).filter(path => path),
+      cell: params.get(CELL_PARAM) || null
+    };
+  }
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Get the parent window, or `null` if it cannot be accessed.
+   */
+  export function parentWindow(): Window | null {
+    try {
+      // Reading the location throws for a parent window from another origin
+      void window.parent.location.href;
+      return window.parent;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Scroll a notebook to a cell, given its index or id, and make it active.
+   */
+  export async function scrollToCell(panel: NotebookPanel, cell: string): Promise<void> {
+    await panel.context.ready;
+    const notebook = panel.content;
+    const index = /^\d+$/.test(cell)
+      ? Number(cell)
+      : notebook.widgets.findIndex(widget => widget.model.id === cell);
+    const target = notebook.widgets[index];
+    if (!target) {
+      return;
+    }
+    notebook.activeCellIndex = index;
+    await notebook.scrollToCell(target, 'start');
+  }
+}
@@ -5,7 +5,9 @@ import { PartialJSONObject } from '@lumino/coreutils';
 import { URLExt } from '@jupyterlab/coreutils';
 import { IFileBrowserFactory } from '@jupyterlab/filebrowser';
 import { FILETYPE_TO_ICON } from './icons';
-import { showDialog, Dialog} from '@jupyterlab/apputils';
+import { LookupCache } from './lookupcache';
+import { DEFAULT_PAGE_SIZE, FolderListing } from './folderlisting';
+import { OfflineStore } from './offline';
 
 /**
  * The url for the default drive service.
@@ -13,9 +15,9 @@ import { showDialog, Dialog} from '@jupyterlab/apputils';
 export const SERVICE_DRIVE_URL = 'v2/';
 
 /**
- * The url for the file access.
+ * The path of the virtual folder listing the trashed files.
  */
-const FILES_URL = 'files';
+export const TRASH_PATH = '.trash';
 
 const EMPTY_NOTEBOOK: PartialJSONObject = {
   cells: [],
@@ -32,6 +34,7 @@ const FILETYPE_TO_TYPE: { [key: string]: string } = {
   'html_text': 'file',
   'grid': 'file',
   'plot': 'file',
+  'figure': 'file',
   'external_image': 'file',
   'jupyter_notebook': 'notebook',
 };
@@ -48,6 +51,80 @@ const TYPE_TO_FORMAT: { [key: string]: Contents.FileFormat } = {
   'notebook': 'json',
 };
 
+/**
+ * Mimetype of the content returned for non-notebook plotly filetypes.
+ * External images use the content type of the image itself.
+ */
+const FILETYPE_TO_MIMETYPE: { [key: string]: string } = {
+  'grid': 'text/csv',
+  'plot': 'application/json',
+  'figure': 'application/json',
+  'html_text': 'text/html',
+};
+
+/**
+ * Mapping of uploadable file extensions to plotly filetype and mimetype.
+ */
+const EXTENSION_TO_UPLOAD: { [key: string]: { filetype: string, mimetype: string } } = {
+  '.ipynb': { filetype: 'jupyter_notebook', mimetype: 'application/x-ipynb+json' },
+  '.csv': { filetype: 'grid', mimetype: 'text/csv' },
+  '.tsv': { filetype: 'grid', mimetype: 'text/tab-separated-values' },
+  '.xlsx': { filetype: 'grid', mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  '.png': { filetype: 'external_image', mimetype: 'image/png' },
+  '.jpg': { filetype: 'external_image', mimetype: 'image/jpeg' },
+  '.jpeg': { filetype: 'external_image', mimetype: 'image/jpeg' },
+  '.gif': { filetype: 'external_image', mimetype: 'image/gif' },
+  '.svg': { filetype: 'external_image', mimetype: 'image/svg+xml' },
+};
+
+/**
+ * Export formats of the plotly filetypes, the first one being the default.
+ */
+export const EXPORT_FORMATS: { [key: string]: string[] } = {
+  'jupyter_notebook': ['ipynb'],
+  'grid': ['csv'],
+  'plot': ['png', 'svg', 'json'],
+};
+
+/**
+ * Figlinq permissions which do not allow editing a file.
+ */
+const READ_ONLY_PERMISSIONS = ['read', 'view'];
+
+/**
+ * Upload endpoints of the plotly filetypes created from uploaded files.
+ */
+const FILETYPE_TO_UPLOAD_URL: { [key: string]: string } = {
+  'grid': 'grids',
+  'external_image': 'external-images',
+};
+
+/**
+ * An error thrown when saving a file which changed on the server since it
+ * was opened or last saved.
+ *
+ * The conflict is detected by the drive before sending the save, so the error
+ * carries a `409` response of its own.
+ */
+export class SaveConflictError extends ServerConnection.ConflictError {
+  /**
+   * Create a new save conflict error.
+   */
+  constructor(
+    readonly path: string,
+    readonly localModified: string,
+    readonly remoteModified: string
+  ) {
+    super(
+      new Response(null, { status: 409, statusText: 'Conflict' }),
+      `"${path}" was changed on the server since it was opened.`,
+      '',
+      'conflict'
+    );
+    this.name = 'SaveConflictError';
+  }
+}
+
 /**
  * A namespace for Drive statics.
  */
@@ -74,11 +151,197 @@ export namespace Drive {
      */
     apiEndpoint?: string;
 
+    /**
+     * The time to live of cached path lookups and folder listings, in ms.
+     */
+    lookupTTL?: number;
+
+    /**
+     * The number of files requested per folder listing page.
+     */
+    pageSize?: number;
+
+    /**
+     * Whether new files are public. Defaults to `false`.
+     */
+    defaultWorldReadable?: boolean;
+
+    /**
+     * Whether to mirror opened files in IndexedDB and queue changes while the
+     * server cannot be reached. Defaults to `false`.
+     */
+    offline?: boolean;
+
+    /**
+     * The Figlinq folder the drive is rooted at: `'home'` for the files of the
+     * user, `'shared'` for the files shared with them, or the fid of a folder,
+     * e.g. of a team. Defaults to `'home'`.
+     */
+    root?: string;
+
     /**
      * The file browser factory.
      */
     browser: any;
   }  
+
+  /**
+   * The options used to save a file.
+   */
+  export interface ISaveOptions extends Partial<Contents.IModel> {
+    /**
+     * Whether to save even if the file changed on the server since it was
+     * opened or last saved.
+     */
+    overwrite?: boolean;
+  }
+
+  /**
+   * The failure to create the revision of a saved file.
+   */
+  export interface IRevisionError {
+    /**
+     * The drive-local path of the saved file.
+     */
+    path: string;
+
+    /**
+     * The error of the revision request.
+     */
+    error: unknown;
+  }
+
+  /**
+   * The sharing state of a file.
+   */
+  export interface ISharing {
+    /**
+     * Whether anybody can view the file.
+     */
+    worldReadable: boolean;
+
+    /**
+     * The usernames of the users the file is shared with.
+     */
+    collaborators: string[];
+
+    /**
+     * The link to view the file on Figlinq.
+     */
+    link: string;
+  }
+
+  /**
+   * A listing of a folder, with the ETag to check it for changes.
+   */
+  export interface IFolderSnapshot {
+    /**
+     * The ETag of the first page of the listing, or a fingerprint of its
+     * files if the server sent no ETag.
+     */
+    etag: string;
+
+    /**
+     * The Figlinq file objects of the folder children.
+     */
+    files: any[];
+  }
+
+  /**
+   * The properties of a file.
+   */
+  export interface IProperties {
+    /**
+     * The Figlinq file id, as `owner:id`.
+     */
+    fid: string;
+
+    /**
+     * The username of the owner of the file.
+     */
+    owner: string;
+
+    /**
+     * The Figlinq filetype, e.g. `jupyter_notebook`.
+     */
+    filetype: string;
+
+    /**
+     * The creation date, as an ISO string.
+     */
+    created: string;
+
+    /**
+     * The last modification date, as an ISO string.
+     */
+    modified: string;
+
+    /**
+     * The size in bytes, `null` when the server does not report it.
+     */
+    size: number | null;
+
+    /**
+     * The description of the file.
+     */
+    description: string;
+
+    /**
+     * The tags of the file.
+     */
+    tags: string[];
+
+    /**
+     * The sharing state of the file.
+     */
+    sharing: ISharing;
+  }
+
+  /**
+   * The editable properties of a file.
+   */
+  export interface IPropertiesChange {
+    /**
+     * The new description of the file.
+     */
+    description?: string;
+
+    /**
+     * The new tags of the file.
+     */
+    tags?: string[];
+  }
+
+  /**
+   * The options of a search.
+   */
+  export interface ISearchOptions {
+    /**
+     * The Figlinq filetype to restrict the search to, e.g. `jupyter_notebook`.
+     */
+    filetype?: string;
+
+    /**
+     * The 1-based page of results to get.
+     */
+    page?: number;
+  }
+
+  /**
+   * A page of search results.
+   */
+  export interface ISearchResults {
+    /**
+     * The Figlinq file objects matching the search. Their `path` is only set
+     * when the server sends it, see `Drive.getPath`.
+     */
+    files: any[];
+
+    /**
+     * Whether more results are available on the next page.
+     */
+    hasMore: boolean;
+  }
 }
 
 
@@ -98,8 +361,28 @@ export class Drive implements Contents.IDrive {
     this.browser = options.browser;
     this.name = options.name ?? 'Default';
     this._apiEndpoint = options.apiEndpoint ?? SERVICE_DRIVE_URL;
+    this.root = options.root ?? 'home';
     this.serverSettings =
       options.serverSettings ?? ServerConnection.makeSettings();
+    this._lookupCache = new LookupCache({ ttl: options.lookupTTL });
+    this._pageSize = options.pageSize;
+    this.defaultWorldReadable = options.defaultWorldReadable ?? false;
+    if (options.offline && OfflineStore.isAvailable) {
+      this._offline = new OfflineStore({
+        name: `jupyterlab-remote-contents:${this.name}`,
+        probe: async () => {
+          await this._fetchJson(['folders', 'home'], { page: 1, page_size: 1 });
+        },
+        replay: operation => this._replayOperation(operation),
+      });
+      // Replay what was left from a previous session
+      this._offline.sync().catch(error => console.error('Error syncing offline changes', error));
+    }
+    this._fileChanged.connect((_, change) => {
+      this._lookupCache.handleFileChanged(change);
+      this._invalidateFolderListings(change);
+      this._onVersionedFileChanged(change);
+    });
   }
 
   /**
@@ -108,12 +391,54 @@ export class Drive implements Contents.IDrive {
    */
   readonly name: string;
 
+  /**
+   * The Figlinq folder the drive is rooted at.
+   */
+  readonly root: string;
+
   /**
    * The file browser factory.
    * This is used to refresh the file browser after a file operation. 
    */
   readonly browser: any;
 
+  /**
+   * Whether new files are public.
+   */
+  defaultWorldReadable: boolean;
+
+  /**
+   * The REST endpoint for drive requests, relative to the server URL.
+   */
+  get apiEndpoint(): string {
+    return this._apiEndpoint;
+  }
+  set apiEndpoint(value: string) {
+    this._apiEndpoint = value;
+    this._lookupCache.clear();
+    this._folderListings.clear();
+  }
+
+  /**
+   * The number of files requested per folder listing page.
+   */
+  get pageSize(): number {
+    return this._pageSize ?? DEFAULT_PAGE_SIZE;
+  }
+  set pageSize(value: number) {
+    if (value !== this._pageSize) {
+      this._folderListings.clear();
+    }
+    this._pageSize = value;
+  }
+
+  /**
+   * The offline mirror of the drive, if enabled.
+   */
+  get offline(): OfflineStore | null {
+    return this._offline;
+  }
+
   /**
    * A signal emitted when a file operation takes place.
    */
@@ -121,6 +446,14 @@ export class Drive implements Contents.IDrive {
     return this._fileChanged;
   }
 
+  /**
+   * A signal emitted when a file was saved but its revision could not be
+   * created.
+   */
+  get revisionFailed(): ISignal<this, Drive.IRevisionError> {
+    return this._revisionFailed;
+  }
+
   /**
    * The server settings of the drive.
    */
@@ -141,10 +474,26 @@ export class Drive implements Contents.IDrive {
       return;
     }
     this._isDisposed = true;
+    this._lookupCache.clear();
+    this._folderListings.clear();
+    this._offline?.dispose();
     Signal.clearData(this);
   }
 
-  async lookup(localPath: string): Promise<any>{
+  /**
+   * Get the Figlinq file object for a path.
+   *
+   * Results are cached until their path changes or their time to live expires,
+   * unless `useCache` is `false`.
+   */
+  async lookup(localPath: string, useCache = true): Promise<any>{
+    const cached = useCache ? this._lookupCache.get(localPath) : undefined;
+    if (cached) {
+      return cached;
+    }
+    if (this.root !== 'home') {
+      return this._lookupInRoot(localPath, useCache);
+    }
     
     const args = ['files', 'lookup'];
     const url = this._getUrl(...args);
@@ -157,156 +506,427 @@ export class Drive implements Contents.IDrive {
       throw err;
     }
     let data = await response.json();
+    this._lookupCache.set(localPath, data);
     return data;
   }
 
-  async createRevision(fid: string): Promise<any>{
-    
-    const args = ['files', fid, 'revisions'];
-    const url = this._getUrl(...args);
+  /**
+   * Get the path of a file or folder in My files from its fid.
+   */
+  async getPath(fid: string): Promise<string> {
+    const data = await this._fetchJson(['files', fid, 'path']);
+    return data.path;
+  }
 
-    const init = {
-      method: 'POST',
+  /**
+   * Search the files of My files across all folders.
+   *
+   * @param query - The text matched by the server against filenames,
+   *   filetypes, tags and notebook content.
+   * @param options - The filetype to restrict the search to, and the page.
+   *
+   * @returns A promise which resolves with a page of results.
+   *
+   * #### Notes
+   * Resolving the path of a result walks its parent folders, so results
+   * without a path from the server are not resolved here, only once they
+   * are opened.
+   */
+  async search(query: string, options: Drive.ISearchOptions = {}): Promise<Drive.ISearchResults> {
+    const params: PartialJSONObject = {
+      q: query,
+      page: options.page ?? 1,
+      page_size: this.pageSize,
+      include_content: true
     };
-    
-    const params = {};
-
-    const response = await ServerConnection.makeRequest(this.serverSettings, url, init, params);
-    if (response.status !== 201 && response.status !== 204) {
-      const err = await ServerConnection.ResponseError.create(response);
-      console.error('createRevision error', err);
-      showDialog({
-        title: 'Error',
-        body: err.message,
-        buttons: [Dialog.okButton()]
-      });
+    if (options.filetype) {
+      params.filetype = options.filetype;
     }
+    const data = await this._fetchJson(['search'], params);
+    const results: any[] = data?.results || data?.files || [];
+    return { files: results.filter(file => !file.deleted), hasMore: !!data?.next };
   }
 
-  // async restore(fid: string): Promise<any>{
-    
-  //   const args = ['files', fid, 'restore'];
-  //   const url = this._getUrl(...args);
-    
-  //   const response = await ServerConnection.makeRequest(this.serverSettings, url, {method: 'POST'});
-  //   if (response.status !== 200) {
-  //     const err = await ServerConnection.ResponseError.create(response);
-  //     console.log('restore error', err);
-  //     throw err;
-  //   }
-  //   let data = await response.json();
-  //   return data;
-  // }
-
   /**
-   * Get a file or directory.
+   * Get the listing of a folder, unless it is unchanged since a previous one.
    *
-   * @param localPath: The path to the file.
+   * @param localPath - The path of the folder.
    *
-   * @param options: The options used to fetch the file.
+   * @param etag - The ETag of the previous listing, if any.
    *
-   * @returns A promise which resolves with the file content.
+   * @returns A promise which resolves with the listing, or `null` if the
+   *   folder did not change.
    *
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   * #### Notes
+   * Only the first page is compared, the remaining pages of a larger folder
+   * are fetched when it changed. Changes past the first page which leave it
+   * unchanged show up with the next change of the first page.
    */
-  async get(
+  async listFolderIfChanged(
     localPath: string,
-    options?: Contents.IFetchOptions
-  ): Promise<Contents.IModel> {
-    // console.log('get', localPath, options);
-
-    let filetype = 'fold';
-    let lookup;
-    let filename = '';
-    let pathParts: string[] = [];
-    let params: PartialJSONObject = {};
-    
-    // We need to do a lookup first to determine the appropriate api path
-    if (localPath) {      
-      lookup = await this.lookup(localPath);
-      // Get the filetype and filename from the lookup      
-      filetype = lookup.filetype;
-      filename = lookup.filename;
-      
-      if (filetype === 'fold') {
-        pathParts = ['folders', lookup.fid];
-        params = { page: 1, page_size: 100000, order_by: 'filename'};
-      } else if (filetype === 'jupyter_notebook') {
-        pathParts = ['jupyter-notebooks', lookup.fid, 'content'];
-      } else {
-        throw new Error("Currently you can only open notebooks and folders!");
-      }
-    } else { // For home directory we do not need to do a lookup  
-      pathParts = ['folders', 'home'];
-      params = { page: 1, page_size: 100000, order_by: 'filename'};
-      lookup = {
-        date_modified: '',
-        creation_time: '',
-      }
+    etag?: string | null
+  ): Promise<Drive.IFolderSnapshot | null> {
+    const fid = localPath ? (await this.lookup(localPath)).fid : this.root;
+    const url = this._getUrl('folders', fid);
+    // Fingerprints are compared once the page is fetched
+    const init: RequestInit =
+      etag && !Private.isFingerprint(etag) ? { headers: { 'If-None-Match': etag } } : {};
+    const pageSize = this.pageSize;
+    const params = { page: 1, page_size: pageSize, order_by: 'filename' };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init, params);
+    if (response.status === 304) {
+      return null;
     }
-
-    const url = this._getUrl(...pathParts);
-    
-    // if (options) {
-    //   // The notebook type cannot take a format option.
-    //   if (options.type === 'notebook') {
-    //     delete options['format'];
-    //   }
-    //   const content = options.content ? '1' : '0';
-    //   params = {...params, ...options, content };
-    // }
-
-    const response = await ServerConnection.makeRequest(this.serverSettings, url, {}, params);
     if (response.status !== 200) {
-      console.log(response.json())
       const err = await ServerConnection.ResponseError.create(response);
       throw err;
     }
-    let data = await response.json();
-    
-    const convOptions: any = {
-      data: data?.file || data,
-      type: FILETYPE_TO_TYPE[filetype],
-      name: filename,
-      path: localPath,
-      last_modified: lookup.date_modified,
-      created: lookup.creation_time,
-    };
-    
-    let model;
-    try {
-      model = Private.convertToJupyterApi(convOptions);
-    } catch (error) {
-      console.error('Error converting to Jupyter API', error);
+    const page = await response.json();
+    let files: any[] = page?.children?.results || [];
+    const tag = response.headers.get('ETag') ?? Private.pageFingerprint(page);
+    if (tag === etag) {
+      return null;
     }
-
-    Private.validateContentsModel(model);
-
-    return model;
+    if (page?.children?.next || (page?.children?.next === undefined && files.length >= pageSize)) {
+      files = await this._listFolder(fid);
+    }
+    this._lookupCache.fill(localPath, files);
+    return { etag: tag, files };
   }
 
   /**
-   * Get an encoded download url given a file path.
+   * Report a change made outside of the drive, e.g. in the Figlinq web app.
    *
-   * @param localPath - An absolute POSIX file path on the server.
+   * @param type - The type of the change.
    *
-   * #### Notes
-   * It is expected that the path contains no relative paths.
+   * @param folderPath - The path of the folder holding the file.
+   *
+   * @param oldName - The previous name of the file, `null` for a new file.
    *
-   * The returned URL may include a query parameter.
+   * @param file - The Figlinq file object of the file, `null` for a deleted file.
    */
-  getDownloadUrl(localPath: string): Promise<string> {
-    const baseUrl = this.serverSettings.baseUrl;
-    let url = URLExt.join(baseUrl, FILES_URL, URLExt.encodeParts(localPath));
-    const xsrfTokenMatch = document.cookie.match('\\b_xsrf=([^;]*)\\b');
-    if (xsrfTokenMatch) {
-      const fullUrl = new URL(url);
-      fullUrl.searchParams.append('_xsrf', xsrfTokenMatch[1]);
-      url = fullUrl.toString();
-    }
-    return Promise.resolve(url);
-  }
-
+  notifyExternalChange(
+    type: Contents.IChangedArgs['type'],
+    folderPath: string,
+    oldName: string | null,
+    file: any | null
+  ): void {
+    const oldPath = folderPath ? `${folderPath}/${oldName}` : oldName;
+    this._fileChanged.emit({
+      type,
+      // Saves keep the old value empty, as the file did not move
+      oldValue: oldName === null || type === 'save' ? null : { path: oldPath! },
+      newValue: file ? Private.transformItem(file, folderPath) : null
+    });
+  }
+
+  /**
+   * Get the `date_modified` of a notebook when it was last opened or saved
+   * from this drive.
+   */
+  getVersion(localPath: string): string | undefined {
+    return this._versions.get(localPath);
+  }
+
+  /**
+   * Create a revision of a file.
+   *
+   * @param fid - The fid of the file.
+   * @param name - The name of the revision, if any.
+   *
+   * @returns A promise which resolves with the new revision, or `null` if the
+   *   server did not create one because the file did not change.
+   */
+  async createRevision(fid: string, name?: string): Promise<any>{
+    
+    const args = ['files', fid, 'revisions'];
+    const url = this._getUrl(...args);
+
+    const init: RequestInit = {
+      method: 'POST',
+    };
+    if (name) {
+      init.body = JSON.stringify({ name });
+      init.headers = { 'content-type': 'application/json' };
+    }
+    
+    const params = {};
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init, params);
+    if (response.status !== 201 && response.status !== 204) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    return response.status === 201 ? response.json() : null;
+  }
+
+  /**
+   * List the revisions of a file, oldest first.
+   */
+  async listRevisions(fid: string): Promise<any[]>{
+
+    const args = ['files', fid, 'revisions'];
+    const url = this._getUrl(...args);
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, {});
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    const data = await response.json();
+    const revisions: any[] = data?.results || data;
+    if (!Array.isArray(revisions)) {
+      throw new Error('Invalid revision list');
+    }
+    return revisions.sort((a, b) => Date.parse(a.creation_time) - Date.parse(b.creation_time));
+  }
+
+  /**
+   * Name a revision of a file.
+   *
+   * @param fid - The fid of the file.
+   * @param revisionId - The id of the revision.
+   * @param name - The new name of the revision, or an empty string to clear it.
+   *
+   * @returns A promise which resolves with the updated revision.
+   */
+  async renameRevision(fid: string, revisionId: string, name: string): Promise<any>{
+
+    const args = ['files', fid, 'revisions', revisionId];
+    const url = this._getUrl(...args);
+
+    const init = {
+      method: 'PATCH',
+      body: JSON.stringify({ name }),
+      headers: { 'content-type': 'application/json' },
+    };
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    return response.json();
+  }
+
+  /**
+   * Get the notebook content of a revision.
+   *
+   * @param fid - The fid of the notebook.
+   * @param revisionId - The id of the revision.
+   *
+   * @returns A promise which resolves with the notebook JSON of the revision.
+   */
+  async getRevisionContent(fid: string, revisionId: string): Promise<any>{
+    const data = await this._fetchJson(['files', fid, 'revisions', revisionId, 'content']);
+    return data?.file || data;
+  }
+
+  /**
+   * Restore the content of a file from one of its revisions.
+   */
+  async restoreRevision(fid: string, revisionId: string): Promise<void>{
+
+    const args = ['files', fid, 'revisions', revisionId, 'restore'];
+    const url = this._getUrl(...args);
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, {method: 'POST'});
+    if (response.status !== 200 && response.status !== 204) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+  }
+
+  /**
+   * Restore a file from the trash.
+   */
+  async restore(fid: string): Promise<any>{
+    
+    const args = ['files', fid, 'restore'];
+    const url = this._getUrl(...args);
+    
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, {method: 'POST'});
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    let data = await response.json();
+    // The folder the file is restored to is not known, list them all again
+    this._folderListings.clear();
+    return data;
+  }
+
+  /**
+   * Get a file or directory.
+   *
+   * @param localPath: The path to the file.
+   *
+   * @param options: The options used to fetch the file.
+   *
+   * @returns A promise which resolves with the file content.
+   *
+   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   */
+  async get(
+    localPath: string,
+    options?: Contents.IFetchOptions
+  ): Promise<Contents.IModel> {
+    if (!this._offline) {
+      return this._getOnline(localPath, options);
+    }
+    // Serve cached models right away while offline
+    if (this._offline.isOffline) {
+      const cached = await this._offline.getModel(localPath);
+      if (cached) {
+        return cached;
+      }
+    }
+    try {
+      const model = await this._getOnline(localPath, options);
+      if (options?.content !== false && (model.type === 'notebook' || model.type === 'directory')) {
+        this._offline.putModel(model).catch(error => console.error('Error caching model', error));
+      }
+      return model;
+    } catch (error) {
+      const cached = error instanceof ServerConnection.NetworkError
+        ? await this._offline.getModel(localPath)
+        : undefined;
+      if (cached) {
+        return cached;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a file or directory from the server.
+   */
+  private async _getOnline(
+    localPath: string,
+    options?: Contents.IFetchOptions
+  ): Promise<Contents.IModel> {
+    // console.log('get', localPath, options);
+
+    if (Private.isTrashPath(localPath)) {
+      return this._getTrash(localPath);
+    }
+
+    let filetype = 'fold';
+    let lookup;
+    let filename = '';
+    let folderFid = this.root;
+    
+    // We need to do a lookup first to determine the appropriate api path
+    if (localPath) {      
+      lookup = await this.lookup(localPath);
+      // Get the filetype and filename from the lookup      
+      filetype = lookup.filetype;
+      filename = lookup.filename;
+      folderFid = lookup.fid;
+
+      if (filetype !== 'fold' && filetype !== 'jupyter_notebook') {
+        return this._getFileModel(localPath, lookup);
+      }
+      if (filetype === 'jupyter_notebook' && options?.content !== false) {
+        // Record the version being opened, to detect conflicts on save
+        lookup = await this.lookup(localPath, false);
+        this._versions.set(localPath, lookup.date_modified);
+      }
+    } else { // For home directory we do not need to do a lookup  
+      lookup = {
+        date_modified: '',
+        creation_time: '',
+      }
+    }
+
+    const convOptions: any = {
+      type: FILETYPE_TO_TYPE[filetype],
+      name: filename,
+      path: localPath,
+      last_modified: lookup.date_modified,
+      created: lookup.creation_time,
+      size: lookup.size ?? null,
+      writable: Private.isWritable(lookup),
+    };
+
+    if (filetype === 'fold') {
+      const listing = await this._getFolderListing(localPath, folderFid);
+      convOptions.pages = listing.pages;
+    } else {
+      const url = this._getUrl(...['jupyter-notebooks', lookup.fid, 'content']);
+      const response = await ServerConnection.makeRequest(this.serverSettings, url, {});
+      if (response.status !== 200) {
+        const err = await ServerConnection.ResponseError.create(response);
+        throw err;
+      }
+      const data = await response.json();
+      convOptions.data = data?.file || data;
+      convOptions.hash = await Private.hashContent(convOptions.data);
+      convOptions.hash_algorithm = convOptions.hash ? 'sha256' : null;
+      if (options?.content !== false) {
+        this._hashes.set(localPath, convOptions.hash);
+      }
+    }
+    
+    let model;
+    try {
+      model = Private.convertToJupyterApi(convOptions);
+    } catch (error) {
+      console.error('Error converting to Jupyter API', error);
+    }
+
+    Private.validateContentsModel(model);
+
+    return model;
+  }
+
+  /**
+   * Get an encoded download url given a file path.
+   *
+   * @param localPath - An absolute POSIX file path on the server.
+   *
+   * #### Notes
+   * It is expected that the path contains no relative paths.
+   *
+   * Files are downloaded in the first of their export formats, see `getExportUrl`.
+   */
+  async getDownloadUrl(localPath: string): Promise<string> {
+    return this.getExportUrl(localPath);
+  }
+
+  /**
+   * Get the Figlinq export url of a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param format - The export format, one of `EXPORT_FORMATS` for the filetype
+   *   of the file. Defaults to the first one.
+   *
+   * #### Notes
+   * Notebooks are exported as `.ipynb`, grids as `.csv` and plots as `.png`,
+   * `.svg` or `.json`. External images are downloaded from their image url.
+   */
+  async getExportUrl(localPath: string, format?: string): Promise<string> {
+    const file = await this.lookup(localPath);
+    if (file.filetype === 'external_image') {
+      const data = await this._fetchJson(['external-images', file.fid]);
+      return data.image_url;
+    }
+    const formats = EXPORT_FORMATS[file.filetype];
+    if (!formats) {
+      throw Private.makeError(ServerConnection.ValidationError, 400, `"${file.filename}" cannot be downloaded.`);
+    }
+    if (format && !formats.includes(format)) {
+      throw Private.makeError(
+        ServerConnection.ValidationError,
+        400,
+        `"${file.filename}" cannot be downloaded as ${format}.`
+      );
+    }
+    const [owner, id] = file.fid.split(':');
+    return URLExt.join(this.serverSettings.baseUrl, `~${owner}`, `${id}.${format ?? formats[0]}`);
+  }
+
   /**
    * Saves existing notebook in the specified directory path.
    *
@@ -321,7 +941,6 @@ export class Drive implements Contents.IDrive {
   async saveNotebookAs(
     options: any
   ): Promise<Contents.IModel> {
-    console.log('saveNotebookAs', options);
 
     let args: string[] = [];
     let body: string | undefined;
@@ -331,8 +950,8 @@ export class Drive implements Contents.IDrive {
     let parentIdLocal;
     const splitPath = options.path.split('/');
     
-    if (splitPath.length === 1) { // Home directory, with just filename provided in path
-      parentIdLocal = -1;
+    if (splitPath.length === 1) { // Root directory, with just filename provided in path
+      parentIdLocal = await this._rootParentId();
       fileName = options.path;
       refreshBrowser = true;
     } else { // In subdirectory
@@ -346,7 +965,7 @@ export class Drive implements Contents.IDrive {
     body = JSON.stringify(options.content);
     headers = {
       'plotly-parent': `${parentIdLocal}`,
-      'plotly-world-readable': 'false',
+      'plotly-world-readable': `${this.defaultWorldReadable}`,
       'x-file-name': fileName,
       'content-type': 'application/json',
     };
@@ -383,6 +1002,7 @@ export class Drive implements Contents.IDrive {
     }
     
     Private.validateContentsModel(model);
+    this._versions.set(options.path, data.file.date_modified);
 
     this._fileChanged.emit({
       type: 'new',
@@ -410,7 +1030,6 @@ export class Drive implements Contents.IDrive {
   async newUntitled(
     options: Contents.ICreateOptions = {}
   ): Promise<Contents.IModel> {
-    console.log('newUntitled', options);
 
     let args: string[] = [];
     let body: string | undefined;
@@ -419,11 +1038,10 @@ export class Drive implements Contents.IDrive {
     let refreshBrowser = false;
 
     if(options.type === 'notebook') {
-      console.log('newUntitled notebook');
       
       let parent;
-      if (!options.path) { // Home directory
-        parent = -1;
+      if (!options.path) { // Root directory
+        parent = await this._rootParentId();
         refreshBrowser = true;
       } else { // In subdirectory
         const parentLookup = await this.lookup(options.path);
@@ -436,19 +1054,18 @@ export class Drive implements Contents.IDrive {
 
       headers = {
         'plotly-parent': `${parent}`,
-        'plotly-world-readable': 'false',
+        'plotly-world-readable': `${this.defaultWorldReadable}`,
         'x-file-name': fileName,
         'content-type': 'application/json',
       };
     } else if (options.type === 'directory') {
-      console.log('newUntitled directory');
 
       fileName = 'Unnamed Folder';
       args = ['folders'];
 
       let parent;
       if (!options.path) {
-        parent = -1;
+        parent = await this._rootParentId();
       } else {
         const lookup = await this.lookup(options.path);
         const fid = lookup.fid;
@@ -523,10 +1140,32 @@ export class Drive implements Contents.IDrive {
    * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents).
    */
   async delete(localPath: string): Promise<void> {
+    return this._withOffline(
+      () => this._deleteOnline(localPath),
+      async offline => {
+        await offline.deleteModel(localPath);
+        await this._updateCachedListing(localPath, null);
+        await offline.enqueue({ type: 'delete', path: localPath });
+        this._fileChanged.emit({
+          type: 'delete',
+          oldValue: { path: localPath },
+          newValue: null
+        });
+      }
+    );
+  }
+
+  /**
+   * Move a file to the trash on the server.
+   */
+  private async _deleteOnline(localPath: string): Promise<void> {
+    // Deleting from the trash is permanent
+    if (Private.isTrashPath(localPath)) {
+      return this.deletePermanently(localPath);
+    }
 
     const lookup = await this.lookup(localPath);
     const fid = lookup.fid
-    const parent = lookup.parent;
 
     const url = this._getUrl(...['files', fid, 'trash']);
     const init = { method: 'POST' };
@@ -541,56 +1180,262 @@ export class Drive implements Contents.IDrive {
       oldValue: { path: localPath },
       newValue: null
     });
-    if (parent === -1) {
+    if (!localPath.includes('/')) {
       this.refreshBrowser();
     }
   }
 
   /**
-   * Rename a file or directory.
+   * Restore a file from the trash.
    *
-   * @param oldLocalPath - The original file path.
+   * @param localPath - The path of the file in the trash folder.
    *
-   * @param newLocalPath - The new file path.
+   * @returns A promise which resolves when the file is back in its folder.
+   */
+  async restoreFromTrash(localPath: string): Promise<void> {
+    const file = await this._lookupTrash(localPath);
+    await this.restore(file.fid);
+    this._fileChanged.emit({
+      type: 'delete',
+      oldValue: { path: localPath },
+      newValue: null
+    });
+    this.refreshBrowser();
+  }
+
+  /**
+   * Permanently delete a file from the trash.
    *
-   * @returns A promise which resolves with the new file contents model when
-   *   the file is renamed.
+   * @param localPath - The path of the file in the trash folder.
    *
-   * #### Notes
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   * @returns A promise which resolves when the file is deleted.
    */
-  async rename(
-    oldLocalPath: string,
-    newLocalPath: string
-  ): Promise<Contents.IModel> {
-    console.log('rename', oldLocalPath, newLocalPath);
-    const fileLookup = await this.lookup(oldLocalPath);
-    
-    // Renaming can include moving the file to a new directory, in this case we need check the parent in newLocalPath vs oldLocalPath (find last posix part)
-    // Last part is the file. Prior parts are the directories.
-    const oldPathParts = oldLocalPath.split('/');
-    const newPathParts = newLocalPath.split('/');
+  async deletePermanently(localPath: string): Promise<void> {
+    const file = await this._lookupTrash(localPath);
 
-    const newFileName = newPathParts[newPathParts.length - 1];
-    
-    const oldParentPath = oldPathParts.slice(0, oldPathParts.length - 1).join('/');
-    const newParentPath = newPathParts.slice(0, newPathParts.length - 1).join('/');
-    
-    let newParentIdlocal;
-    if (newParentPath === '') { // root directory
-      newParentIdlocal = -1;
-    } else if (oldParentPath !== newParentPath) { // moving to a new directory
-      const newParentLookup = await this.lookup(newParentPath);
-      newParentIdlocal = newParentLookup.fid.split(':')[1];
-      newParentIdlocal = parseInt(newParentIdlocal);
-    } else { // same directory
-      newParentIdlocal = fileLookup.parent;
+    const url = this._getUrl(...['files', file.fid]);
+    const init = { method: 'DELETE' };
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 204) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
     }
+    this._fileChanged.emit({
+      type: 'delete',
+      oldValue: { path: localPath },
+      newValue: null
+    });
+    this.refreshBrowser();
+  }
 
-    
-    // PATCH /files/{fid}
-    let pathParts = [];
-    pathParts.push('files');
+  /**
+   * Get the sharing state of a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @returns A promise which resolves with the privacy, collaborators and
+   *   share link of the file.
+   */
+  async getSharing(localPath: string): Promise<Drive.ISharing> {
+    const file = await this.lookup(localPath, false);
+    const data = await this._fetchJson(['files', file.fid, 'permissions']);
+    const permissions: any[] = data?.results || data || [];
+    return {
+      worldReadable: !!file.world_readable,
+      collaborators: permissions.map(permission => permission.username),
+      link: this._getWebUrl(file),
+    };
+  }
+
+  /**
+   * Make a file public or private.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param worldReadable - Whether anybody can view the file.
+   */
+  async setWorldReadable(localPath: string, worldReadable: boolean): Promise<void> {
+    const file = await this.lookup(localPath);
+    const url = this._getUrl(...['files', file.fid]);
+    const init = {
+      method: 'PATCH',
+      body: JSON.stringify({ world_readable: worldReadable }),
+      headers: { 'content-type': 'application/json' },
+    };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+  }
+
+  /**
+   * Get the link to view a file on Figlinq.
+   *
+   * @param localPath - The path of the file.
+   */
+  async getWebUrl(localPath: string): Promise<string> {
+    return this._getWebUrl(await this.lookup(localPath));
+  }
+
+  /**
+   * Get the properties of a file.
+   *
+   * @param localPath - The path of the file.
+   */
+  async getProperties(localPath: string): Promise<Drive.IProperties> {
+    const file = await this.lookup(localPath, false);
+    return {
+      fid: file.fid,
+      owner: file.owner ?? file.fid.split(':')[0],
+      filetype: file.filetype,
+      created: file.creation_time,
+      modified: file.date_modified,
+      size: file.size ?? null,
+      description: file.description ?? '',
+      tags: file.tags ?? [],
+      sharing: await this.getSharing(localPath)
+    };
+  }
+
+  /**
+   * Change the description or the tags of a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param change - The properties to change.
+   */
+  async setProperties(localPath: string, change: Drive.IPropertiesChange): Promise<void> {
+    const file = await this.lookup(localPath);
+    const url = this._getUrl(...['files', file.fid]);
+    const init = {
+      method: 'PATCH',
+      body: JSON.stringify(change),
+      headers: { 'content-type': 'application/json' },
+    };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    this._lookupCache.invalidate(localPath);
+  }
+
+  /**
+   * Share a file with another user.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param username - The Figlinq username of the collaborator.
+   */
+  async addCollaborator(localPath: string, username: string): Promise<void> {
+    const file = await this.lookup(localPath);
+    const url = this._getUrl(...['files', file.fid, 'permissions']);
+    const init = {
+      method: 'POST',
+      body: JSON.stringify({ username }),
+      headers: { 'content-type': 'application/json' },
+    };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 200 && response.status !== 201) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+  }
+
+  /**
+   * Stop sharing a file with another user.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param username - The Figlinq username of the collaborator.
+   */
+  async removeCollaborator(localPath: string, username: string): Promise<void> {
+    const file = await this.lookup(localPath);
+    const url = this._getUrl(...['files', file.fid, 'permissions', username]);
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, { method: 'DELETE' });
+    if (response.status !== 204) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+  }
+
+  /**
+   * Rename a file or directory.
+   *
+   * @param oldLocalPath - The original file path.
+   *
+   * @param newLocalPath - The new file path.
+   *
+   * @returns A promise which resolves with the new file contents model when
+   *   the file is renamed.
+   *
+   * #### Notes
+   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   */
+  async rename(
+    oldLocalPath: string,
+    newLocalPath: string
+  ): Promise<Contents.IModel> {
+    return this._withOffline(
+      () => this._renameOnline(oldLocalPath, newLocalPath),
+      async offline => {
+        const cached = await offline.getModel(oldLocalPath);
+        const model = {
+          ...(cached ?? Private.offlineModel(oldLocalPath, 'file')),
+          name: newLocalPath.split('/').pop()!,
+          path: newLocalPath,
+        };
+        await offline.deleteModel(oldLocalPath);
+        await offline.putModel(model);
+        await this._updateCachedListing(oldLocalPath, null);
+        await this._updateCachedListing(newLocalPath, { ...model, content: null, format: null });
+        await offline.enqueue({ type: 'rename', path: oldLocalPath, newPath: newLocalPath });
+        this._fileChanged.emit({
+          type: 'rename',
+          oldValue: { path: oldLocalPath },
+          newValue: { path: newLocalPath },
+        });
+        return { ...model, content: null };
+      }
+    );
+  }
+
+  /**
+   * Rename or move a file or directory on the server.
+   */
+  private async _renameOnline(
+    oldLocalPath: string,
+    newLocalPath: string
+  ): Promise<Contents.IModel> {
+    const fileLookup = await this.lookup(oldLocalPath);
+    
+    // Renaming can include moving the file to a new directory, in this case we need check the parent in newLocalPath vs oldLocalPath (find last posix part)
+    // Last part is the file. Prior parts are the directories.
+    const oldPathParts = oldLocalPath.split('/');
+    const newPathParts = newLocalPath.split('/');
+
+    const newFileName = newPathParts[newPathParts.length - 1];
+    
+    const oldParentPath = oldPathParts.slice(0, oldPathParts.length - 1).join('/');
+    const newParentPath = newPathParts.slice(0, newPathParts.length - 1).join('/');
+    
+    let newParentIdlocal;
+    if (newParentPath === '') { // root directory
+      newParentIdlocal = await this._rootParentId();
+    } else if (oldParentPath !== newParentPath) { // moving to a new directory
+      const newParentLookup = await this.lookup(newParentPath);
+      newParentIdlocal = newParentLookup.fid.split(':')[1];
+      newParentIdlocal = parseInt(newParentIdlocal);
+    } else { // same directory
+      newParentIdlocal = fileLookup.parent;
+    }
+
+    
+    // PATCH /files/{fid}
+    let pathParts = [];
+    pathParts.push('files');
     pathParts.push(fileLookup.fid);
     const url = this._getUrl(...pathParts);
     
@@ -657,23 +1502,105 @@ export class Drive implements Contents.IDrive {
    *   file is saved.
    *
    * #### Notes
-   * Ensure that `model.content` is populated for the file.
+   * Ensure that `model.content` is populated for the file. Only notebooks can
+   * be saved, other files can only be replaced by uploads.
    *
    * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
    */
   async save(
     localPath: string,
-    options: Partial<Contents.IModel> = {}
+    options: Drive.ISaveOptions = {}
   ): Promise<Contents.IModel> {
-    console.log('save', localPath, options);
+    // Grids, plots, figures and text items are opened read-only, only uploads replace them
+    if (options.type !== 'notebook' && !(options.type === 'file' && options.format === 'base64')) {
+      throw Private.makeError(
+        ServerConnection.ValidationError,
+        400,
+        `"${localPath}" is read-only, only notebooks can be edited.`
+      );
+    }
+    // Only notebooks can be saved offline, uploads need the server
+    if (options.type !== 'notebook') {
+      return this._saveOnline(localPath, options);
+    }
+    return this._withOffline(
+      () => this._saveOnline(localPath, options),
+      async offline => {
+        const now = new Date().toISOString();
+        const cached = await offline.getModel(localPath);
+        const model = {
+          ...(cached ?? Private.offlineModel(localPath, 'notebook')),
+          content: options.content,
+          last_modified: now,
+          hash: undefined,
+          hash_algorithm: undefined,
+        };
+        await offline.putModel(model);
+        if (!cached) {
+          await this._updateCachedListing(localPath, { ...model, content: null, format: null });
+        }
+        await offline.enqueue({
+          type: 'save',
+          path: localPath,
+          content: options.content,
+          version: this._versions.get(localPath),
+        });
+        this._fileChanged.emit({
+          type: 'save',
+          oldValue: null,
+          newValue: { ...model, content: null }
+        });
+        return { ...model, content: null };
+      }
+    );
+  }
+
+  /**
+   * Save a file on the server.
+   */
+  private async _saveOnline(
+    localPath: string,
+    options: Drive.ISaveOptions = {}
+  ): Promise<Contents.IModel> {
+    // Files uploaded from the file browser come base64 encoded, possibly in chunks
+    if (options.type === 'file' && options.format === 'base64') {
+      return this._upload(localPath, options);
+    }
     let lookup;
     // Jupyterlite deletes the file and creates a new one, so we need to restore it from the trash if it is trashed
     try { 
-      lookup = options.path ? await this.lookup(options.path) : null;
-    } catch {
+      lookup = options.path ? await this.lookup(options.path, false) : null;
+    } catch (error) {
+      if (!(error instanceof ServerConnection.NotFoundError)) {
+        throw error;
+      }
       // File does not exist, saving a new file
       return this.saveNotebookAs(options);
     }
+    // Make sure nobody else changed the file since we opened or last saved it
+    const version = this._versions.get(localPath);
+    if (!options.overwrite && version && version !== lookup.date_modified) {
+      throw new SaveConflictError(localPath, version, lookup.date_modified);
+    }
+    // Skip saving content which is already on the server
+    const hash = await Private.hashContent(options.content);
+    const hash_algorithm = hash ? 'sha256' : null;
+    if (hash && hash === this._hashes.get(localPath) && lookup.date_modified === version) {
+      const model = Private.convertToJupyterApi({
+        data: null,
+        type: FILETYPE_TO_TYPE[lookup.filetype],
+        name: lookup.filename,
+        path: localPath,
+        last_modified: lookup.date_modified,
+        created: lookup.creation_time,
+        size: lookup.size ?? null,
+        writable: Private.isWritable(lookup),
+        hash,
+        hash_algorithm,
+      });
+      Private.validateContentsModel(model);
+      return model;
+    }
     const body = JSON.stringify({content: JSON.stringify(options.content)});
     const headers = {
       'content-type': 'application/json',
@@ -693,8 +1620,14 @@ export class Drive implements Contents.IDrive {
     }
     const data = await response.json();
 
-    // Create a revision
-    await this.createRevision(lookup.fid);
+    this._versions.set(localPath, data.date_modified);
+    this._hashes.set(localPath, hash);
+    // Create a revision, the content is saved even if this fails
+    try {
+      await this.createRevision(lookup.fid);
+    } catch (error) {
+      this._revisionFailed.emit({ path: localPath, error });
+    }
 
     const convOptions = {
       data: null,
@@ -703,6 +1636,10 @@ export class Drive implements Contents.IDrive {
       path: localPath,
       last_modified: data.date_modified,
       created: data.creation_time,
+      size: data.size ?? null,
+      writable: Private.isWritable(lookup),
+      hash,
+      hash_algorithm,
     };
 
     const model = Private.convertToJupyterApi(convOptions);
@@ -723,19 +1660,616 @@ export class Drive implements Contents.IDrive {
    *
    * @param toDir - The destination directory path.
    *
-   * @returns A promise which resolves with the new contents model when the
-   *  file is copied.
+   * @returns A promise which resolves with the new contents model when the
+   *  file is copied.
+   *
+   * #### Notes
+   * The copy keeps the name of the file when it is free in the destination
+   * directory, else it is named "Copy of <name>", with a counter appended when
+   * that name is taken too. Folders are copied recursively.
+   */
+  async copy(fromFile: string, toDir: string): Promise<Contents.IModel> {
+    const lookup = await this.lookup(fromFile);
+    const dirFid = toDir ? (await this.lookup(toDir)).fid : this.root;
+    const parent = toDir ? Private.localId(dirFid) : await this._rootParentId();
+
+    const siblings = await this._listFolder(dirFid);
+    const fileName = Private.uniqueCopyName(
+      lookup.filename,
+      siblings.map((item: any) => item.filename)
+    );
+
+    const file = await this._copyFile(lookup, parent, fileName);
+
+    const model = Private.transformItem(file, toDir);
+    Private.validateContentsModel(model);
+    this._fileChanged.emit({
+      type: 'new',
+      oldValue: null,
+      newValue: model
+    });
+    if (!toDir) {
+      this.refreshBrowser();
+    }
+    return model;
+  }
+
+  /**
+   * Move a file to another Figlinq drive.
+   *
+   * @param fromFile - The path of the file in this drive.
+   *
+   * @param toDrive - The destination drive.
+   *
+   * @param toPath - The path of the file in the destination drive.
+   *
+   * @returns A promise which resolves with the contents model of the file in
+   *   the destination drive.
+   *
+   * #### Notes
+   * Drives are views on the same Figlinq account, so the file keeps its fid
+   * and revisions and only its parent folder changes.
+   */
+  async moveToDrive(fromFile: string, toDrive: Drive, toPath: string): Promise<Contents.IModel> {
+    const lookup = await this.lookup(fromFile);
+    const splitPath = toPath.split('/');
+    const fileName = splitPath.pop()!;
+    const toDir = splitPath.join('/');
+    const parent = toDir
+      ? Private.localId((await toDrive.lookup(toDir)).fid)
+      : await toDrive._rootParentId();
+
+    const url = this._getUrl('files', lookup.fid);
+    const init = {
+      method: 'PATCH',
+      body: JSON.stringify({ filename: fileName, parent }),
+      headers: { 'content-type': 'application/json' },
+    };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    const data = await response.json();
+
+    const model = Private.transformItem({ ...lookup, ...data, filename: fileName }, toDir);
+    Private.validateContentsModel(model);
+    this._fileChanged.emit({
+      type: 'delete',
+      oldValue: { path: fromFile },
+      newValue: null
+    });
+    toDrive._fileChanged.emit({
+      type: 'new',
+      oldValue: null,
+      newValue: model
+    });
+    this.refreshBrowser();
+    toDrive.refreshBrowser();
+    return model;
+  }
+
+  /**
+   * Copy a file to another Figlinq drive.
+   *
+   * @param fromFile - The path of the file in this drive.
+   *
+   * @param toDrive - The destination drive.
+   *
+   * @param toDir - The destination directory path in the destination drive.
+   *
+   * @returns A promise which resolves with the contents model of the copy.
+   *
+   * #### Notes
+   * The copy is named as with `copy`. Folders are copied recursively.
+   */
+  async copyToDrive(fromFile: string, toDrive: Drive, toDir: string): Promise<Contents.IModel> {
+    const lookup = await this.lookup(fromFile);
+    const dirFid = toDir ? (await toDrive.lookup(toDir)).fid : toDrive.root;
+    const parent = toDir ? Private.localId(dirFid) : await toDrive._rootParentId();
+
+    const siblings = await toDrive._listFolder(dirFid);
+    const fileName = Private.uniqueCopyName(
+      lookup.filename,
+      siblings.map((item: any) => item.filename)
+    );
+
+    const file = await this._copyFile(lookup, parent, fileName);
+
+    const model = Private.transformItem(file, toDir);
+    Private.validateContentsModel(model);
+    toDrive._fileChanged.emit({
+      type: 'new',
+      oldValue: null,
+      newValue: model
+    });
+    toDrive.refreshBrowser();
+    return model;
+  }
+
+  /**
+   * Create a checkpoint for a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @returns A promise which resolves with the new checkpoint model when the
+   *   checkpoint is created.
+   *
+   * #### Notes
+   * Checkpoints are Figlinq file revisions. Since every save already creates a
+   * revision, the latest one is returned and a new one is only created when the
+   * file has none yet.
+   */
+  async createCheckpoint(
+    localPath: string
+  ): Promise<Contents.ICheckpointModel> {
+    const lookup = await this.lookup(localPath);
+    const revisions = await this.listRevisions(lookup.fid);
+    let revision = revisions[revisions.length - 1];
+    if (!revision) {
+      revision = await this.createRevision(lookup.fid);
+    }
+    if (!revision) {
+      throw new Error(`Could not create a checkpoint for ${localPath}`);
+    }
+    const model = Private.convertToCheckpoint(revision);
+    Private.validateCheckpointModel(model);
+    return model;
+  }
+
+  /**
+   * List available checkpoints for a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @returns A promise which resolves with a list of checkpoint models for
+   *    the file, oldest first.
+   *
+   * #### Notes
+   * Checkpoints are the revisions listed by `files/{fid}/revisions`.
+   */
+  async listCheckpoints(
+    localPath: string
+  ): Promise<Contents.ICheckpointModel[]> {
+    const lookup = await this.lookup(localPath);
+    const revisions = await this.listRevisions(lookup.fid);
+    const models = revisions.map(Private.convertToCheckpoint);
+    models.forEach(Private.validateCheckpointModel);
+    return models;
+  }
+
+  /**
+   * Restore a file to a known checkpoint state.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param checkpointID - The id of the checkpoint to restore.
+   *
+   * @returns A promise which resolves when the checkpoint is restored.
+   */
+  async restoreCheckpoint(
+    localPath: string,
+    checkpointID: string
+  ): Promise<void> {
+    const lookup = await this.lookup(localPath);
+    await this.restoreRevision(lookup.fid, checkpointID);
+  }
+
+  /**
+   * Delete a checkpoint for a file.
+   *
+   * @param localPath - The path of the file.
+   *
+   * @param checkpointID - The id of the checkpoint to delete.
+   *
+   * @returns A promise which resolves when the checkpoint is deleted.
+   */
+  async deleteCheckpoint(
+    localPath: string,
+    checkpointID: string
+  ): Promise<void> {
+    const lookup = await this.lookup(localPath);
+    const url = this._getUrl(...['files', lookup.fid, 'revisions', checkpointID]);
+    const init = { method: 'DELETE' };
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 204) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+  }
+
+  /**
+   * Run a file operation on the server, or queue it while offline.
+   *
+   * @param online - The operation against the server.
+   *
+   * @param offline - The operation against the offline store, which must
+   *   queue the operation to replay it on reconnect.
+   */
+  private async _withOffline<T>(
+    online: () => Promise<T>,
+    offline: (store: OfflineStore) => Promise<T>
+  ): Promise<T> {
+    if (!this._offline) {
+      return online();
+    }
+    if (!this._offline.isOffline) {
+      try {
+        return await online();
+      } catch (error) {
+        if (!(error instanceof ServerConnection.NetworkError)) {
+          throw error;
+        }
+      }
+    }
+    return offline(this._offline);
+  }
+
+  /**
+   * Replay an operation queued while offline.
+   *
+   * @returns Whether the operation conflicted with a change on the server.
+   *
+   * #### Notes
+   * A notebook which changed on the server since it was opened is not
+   * overwritten; the offline version is saved next to it as a copy instead.
+   */
+  private async _replayOperation(operation: OfflineStore.Operation): Promise<boolean> {
+    switch (operation.type) {
+      case 'save': {
+        if (operation.version) {
+          this._versions.set(operation.path, operation.version);
+        }
+        const options = {
+          type: 'notebook' as const,
+          format: 'json' as const,
+          content: operation.content,
+          path: operation.path,
+        };
+        try {
+          await this._saveOnline(operation.path, options);
+          return false;
+        } catch (error) {
+          if (!(error instanceof ServerConnection.ConflictError)) {
+            throw error;
+          }
+        }
+        const splitPath = operation.path.split('/');
+        const fileName = splitPath.pop()!;
+        const dir = splitPath.join('/');
+        const siblings = await this._listFolder(dir ? (await this.lookup(dir)).fid : this.root);
+        const copyName = Private.uniqueCopyName(
+          fileName,
+          siblings.map((item: any) => item.filename)
+        );
+        const copyPath = [...splitPath, copyName].join('/');
+        await this.saveNotebookAs({ ...options, path: copyPath });
+        return true;
+      }
+      case 'rename':
+        await this._renameOnline(operation.path, operation.newPath);
+        return false;
+      case 'delete':
+        await this._deleteOnline(operation.path);
+        return false;
+    }
+  }
+
+  /**
+   * Update the cached listing of the folder holding a path, while offline.
+   *
+   * @param path - The path of the changed file.
+   *
+   * @param item - The new listing item of the file, or `null` to remove it.
+   */
+  private async _updateCachedListing(path: string, item: Contents.IModel | null): Promise<void> {
+    const splitPath = path.split('/');
+    const folderPath = splitPath.slice(0, splitPath.length - 1).join('/');
+    const folder = await this._offline?.getModel(folderPath);
+    if (!folder || !Array.isArray(folder.content)) {
+      return;
+    }
+    const content = folder.content.filter((child: Contents.IModel) => child.path !== path);
+    if (item) {
+      content.push(item);
+    }
+    await this._offline!.putModel({ ...folder, content });
+  }
+
+  /**
+   * Get the trash folder listing.
+   *
+   * #### Notes
+   * Files in the trash cannot be opened, only restored or permanently deleted.
+   */
+  private async _getTrash(localPath: string): Promise<Contents.IModel> {
+    if (localPath !== TRASH_PATH) {
+      throw Private.makeError(
+        ServerConnection.ValidationError,
+        400,
+        'Files in the trash must be restored before they can be opened.'
+      );
+    }
+    const listing = await this._getFolderListing(localPath, 'trash');
+    const model = Private.convertToJupyterApi({
+      pages: listing.pages,
+      type: 'directory',
+      name: 'Trash',
+      path: localPath,
+      last_modified: '',
+      created: '',
+    });
+    Private.validateContentsModel(model);
+    return model;
+  }
+
+  /**
+   * Get the Figlinq file object of a file in the trash folder.
+   */
+  private async _lookupTrash(localPath: string): Promise<any> {
+    const filename = localPath.slice(TRASH_PATH.length + 1);
+    const files = await this._listFolder('trash');
+    const file = files.find((item: any) => item.filename === filename);
+    if (!file) {
+      throw Private.makeError(ServerConnection.NotFoundError, 404, `"${filename}" is not in the trash.`);
+    }
+    return file;
+  }
+
+  /**
+   * Upload a file from the file browser, converting it to the matching Figlinq type.
+   *
+   * #### Notes
+   * Notebooks are created from `.ipynb` files, grids from `.csv`, `.tsv` and
+   * `.xlsx` files, and external images from image files. Other files are rejected.
+   *
+   * Large files are sent by the file browser in numbered chunks, the last one
+   * being `-1`. Chunks are buffered until the last one arrives, then the whole
+   * file is uploaded.
+   */
+  private async _upload(
+    localPath: string,
+    options: Partial<Contents.IModel>
+  ): Promise<Contents.IModel> {
+    const splitPath = localPath.split('/');
+    const fileName = splitPath[splitPath.length - 1];
+    const parentPath = splitPath.slice(0, splitPath.length - 1).join('/');
+    const extension = fileName.includes('.')
+      ? Private.normalizeExtension(fileName.split('.').pop()!.toLowerCase())
+      : '';
+    const upload = EXTENSION_TO_UPLOAD[extension];
+    if (!upload) {
+      this._uploadChunks.delete(localPath);
+      const supported = Object.keys(EXTENSION_TO_UPLOAD).join(', ');
+      throw Private.makeError(
+        ServerConnection.ValidationError,
+        400,
+        `"${fileName}" cannot be uploaded to Figlinq. Supported file types are ${supported}.`
+      );
+    }
+
+    const chunk = options.chunk;
+    const chunks = chunk && chunk !== 1 ? this._uploadChunks.get(localPath) || [] : [];
+    chunks.push(Private.base64ToBytes(options.content));
+    if (chunk && chunk !== -1) {
+      // Wait for the remaining chunks
+      this._uploadChunks.set(localPath, chunks);
+      return Private.convertToJupyterApi({
+        data: null,
+        type: 'file',
+        name: fileName,
+        path: localPath,
+        last_modified: new Date().toISOString(),
+        created: new Date().toISOString(),
+      });
+    }
+    this._uploadChunks.delete(localPath);
+    const blob = new Blob(chunks, { type: upload.mimetype });
+
+    if (upload.filetype === 'jupyter_notebook') {
+      return this.saveNotebookAs({
+        path: localPath,
+        type: 'notebook',
+        content: JSON.parse(await blob.text()),
+      });
+    }
+
+    const parent = parentPath ? Private.localId((await this.lookup(parentPath)).fid) : await this._rootParentId();
+    const url = this._getUrl(...[FILETYPE_TO_UPLOAD_URL[upload.filetype], 'upload']);
+    const init = {
+      method: 'POST',
+      body: blob,
+      headers: {
+        'plotly-parent': `${parent}`,
+        'plotly-world-readable': `${this.defaultWorldReadable}`,
+        'x-file-name': fileName,
+        'content-type': upload.mimetype,
+      },
+    };
+
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
+    if (response.status !== 201) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    const data = await response.json();
+
+    const model = Private.transformItem(data.file, parentPath);
+    Private.validateContentsModel(model);
+    this._fileChanged.emit({
+      type: 'new',
+      oldValue: null,
+      newValue: model
+    });
+    if (!parentPath) {
+      this.refreshBrowser();
+    }
+    return model;
+  }
+
+  /**
+   * Keep the recorded notebook versions and hashes in line with renames and deletions.
+   */
+  private _onVersionedFileChanged(change: Contents.IChangedArgs): void {
+    const oldPath = change.oldValue?.path;
+    if (!oldPath) {
+      return;
+    }
+    for (const records of [this._versions, this._hashes]) {
+      if (!records.has(oldPath)) {
+        continue;
+      }
+      const record = records.get(oldPath)!;
+      records.delete(oldPath);
+      if (change.type === 'rename' && change.newValue?.path) {
+        records.set(change.newValue.path, record);
+      }
+    }
+  }
+
+  /**
+   * Get the contents model of a non-notebook file.
+   *
+   * Grids are returned as CSV text, plots and figures as their figure JSON,
+   * text items as HTML and external images as base64, so the JupyterLab
+   * viewers can open them. The models are read-only, as these conversions
+   * cannot be saved back to Figlinq.
+   */
+  private async _getFileModel(
+    localPath: string,
+    lookup: any
+  ): Promise<Contents.IModel> {
+    let content: string;
+    let format: Contents.FileFormat = 'text';
+    let mimetype = FILETYPE_TO_MIMETYPE[lookup.filetype];
+
+    switch (lookup.filetype) {
+      case 'grid': {
+        const data = await this._fetchJson(['grids', lookup.fid, 'content']);
+        content = Private.gridToCsv(data);
+        break;
+      }
+      case 'plot': {
+        const data = await this._fetchJson(['plots', lookup.fid, 'content'], { inline_data: true });
+        content = JSON.stringify(data, null, 2);
+        break;
+      }
+      case 'figure': {
+        const data = await this._fetchJson(['figures', lookup.fid, 'content'], { inline_data: true });
+        content = JSON.stringify(data, null, 2);
+        break;
+      }
+      case 'html_text': {
+        const data = await this._fetchJson(['html-text', lookup.fid]);
+        content = data.content ?? '';
+        break;
+      }
+      case 'external_image': {
+        const data = await this._fetchJson(['external-images', lookup.fid]);
+        const image = await Private.fetchBase64(data.image_url);
+        content = image.content;
+        mimetype = image.mimetype;
+        format = 'base64';
+        break;
+      }
+      default:
+        throw Private.makeError(
+          ServerConnection.ValidationError,
+          400,
+          `Files of type "${lookup.filetype}" cannot be opened.`
+        );
+    }
+
+    const model = {
+      ...Private.convertToJupyterApi({
+        data: content,
+        type: 'file',
+        name: lookup.filename,
+        path: localPath,
+        last_modified: lookup.date_modified,
+        created: lookup.creation_time,
+        writable: false,
+      }),
+      format,
+      mimetype,
+    };
+
+    Private.validateContentsModel(model);
+
+    return model;
+  }
+
+  /**
+   * Copy a file into the folder with the given local id, recursing into folders.
+   *
+   * @returns The Figlinq file object of the copy.
    *
    * #### Notes
-   * The server will select the name of the copied file.
+   * The whole folder tree is listed before anything is created, so a folder
+   * copied into itself or one of its descendants does not copy its own copy.
+   */
+  private async _copyFile(
+    file: any,
+    parent: number,
+    fileName: string
+  ): Promise<any> {
+    return this._copyTree(await this._listTree(file), parent, fileName);
+  }
+
+  /**
+   * List a file with its descendants, if it is a folder.
+   */
+  private async _listTree(file: any): Promise<Private.IFileTree> {
+    if (file.filetype !== 'fold') {
+      return { file, children: [] };
+    }
+    const children: Private.IFileTree[] = [];
+    for (const child of await this._listFolder(file.fid)) {
+      children.push(await this._listTree(child));
+    }
+    return { file, children };
+  }
+
+  /**
+   * Copy a listed file tree into the folder with the given local id.
    *
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   * @returns The Figlinq file object of the copy of the tree root.
    */
-  async copy(fromFile: string, toDir: string): Promise<Contents.IModel> {
-    const url = this._getUrl(toDir);
+  private async _copyTree(
+    tree: Private.IFileTree,
+    parent: number,
+    fileName: string
+  ): Promise<any> {
+    const { file } = tree;
+    let args: string[];
+    let body: string;
+    let headers: HeadersInit;
+
+    if (file.filetype === 'fold') {
+      args = ['folders'];
+      body = JSON.stringify({ parent, path: fileName });
+      headers = { 'content-type': 'application/json' };
+    } else if (file.filetype === 'jupyter_notebook') {
+      const content = await this._fetchJson(['jupyter-notebooks', file.fid, 'content']);
+      args = ['jupyter-notebooks', 'upload'];
+      body = JSON.stringify(content);
+      headers = {
+        'plotly-parent': `${parent}`,
+        'plotly-world-readable': `${this.defaultWorldReadable}`,
+        'x-file-name': fileName,
+        'content-type': 'application/json',
+      };
+    } else {
+      args = ['files', file.fid, 'copy'];
+      body = JSON.stringify({ parent, filename: fileName });
+      headers = { 'content-type': 'application/json' };
+    }
+
+    const url = this._getUrl(...args);
     const init = {
       method: 'POST',
-      body: JSON.stringify({ copy_from: fromFile })
+      body,
+      headers,
     };
     const response = await ServerConnection.makeRequest(this.serverSettings, url, init);
     if (response.status !== 201) {
@@ -743,140 +2277,219 @@ export class Drive implements Contents.IDrive {
       throw err;
     }
     const data = await response.json();
-    Private.validateContentsModel(data);
-    this._fileChanged.emit({
-      type: 'new',
-      oldValue: null,
-      newValue: data
-    });
-    return data;
+    const copy = data.file || data;
+
+    const copyId = Private.localId(copy.fid);
+    for (const child of tree.children) {
+      await this._copyTree(child, copyId, child.file.filename);
+    }
+    return copy;
   }
 
   /**
-   * Create a checkpoint for a file. Disabled for now.
-   *
-   * @param localPath - The path of the file.
-   *
-   * @returns A promise which resolves with the new checkpoint model when the
-   *   checkpoint is created.
+   * Get the local id of the root folder, to create files in it.
    *
-   * #### Notes
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   * The home folder has the id `-1`. Files cannot be created at the top of the
+   * files shared with the user, as they have no folder of their own there.
    */
-  async createCheckpoint(
-    localPath: string
-  ): Promise<Contents.ICheckpointModel> {
-    // const url = this._getUrl(localPath, 'checkpoints');
-    // const init = { method: 'POST' };
-    // const response = await ServerConnection.makeRequest(
-    //   url,
-    //   init,
-    //   this.serverSettings
-    // );
-    // if (response.status !== 201) {
-    //   const err = await ServerConnection.ResponseError.create(response);
-    //   throw err;
-    // }
-    // const data = await response.json();
-    // Private.validateCheckpointModel(data);
-    // return data;
-    return {
-      id: 'no-op',
-      last_modified: new Date().toISOString()
-    } as Contents.ICheckpointModel;
+  private async _rootParentId(): Promise<number> {
+    if (this.root === 'home') {
+      return -1;
+    }
+    if (this.root === 'shared') {
+      throw Private.makeError(
+        ServerConnection.PermissionDeniedError,
+        403,
+        'Files cannot be created at the top of the shared files, open a shared folder first.'
+      );
+    }
+    return Private.localId(this.root);
   }
 
   /**
-   * List available checkpoints for a file. Disabled for now.
-   *
-   * @param localPath - The path of the file.
+   * Get the Figlinq file object for a path, for drives not rooted at the home
+   * folder.
    *
-   * @returns A promise which resolves with a list of checkpoint models for
-   *    the file.
-   *
-   * #### Notes
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents) and validates the response model.
+   * `files/lookup` resolves paths from the home folder, so the path is
+   * resolved one folder listing at a time instead. Ancestors are taken from the
+   * cache when possible.
    */
-  async listCheckpoints(
-    localPath: string
-  ): Promise<Contents.ICheckpointModel[]> {
-    // const url = this._getUrl(localPath, 'checkpoints');
-    // const response = await ServerConnection.makeRequest(
-    //   url,
-    //   {},
-    //   this.serverSettings
-    // );
-    // if (response.status !== 200) {
-    //   const err = await ServerConnection.ResponseError.create(response);
-    //   throw err;
-    // }
-    // const data = await response.json();
-    // if (!Array.isArray(data)) {
-    //   throw new Error('Invalid Checkpoint list');
-    // }
-    // for (let i = 0; i < data.length; i++) {
-    //   Private.validateCheckpointModel(data[i]);
-    // }
-    // return data;
-    return [];
-  }
-
-  /**
-   * Restore a file to a known checkpoint state.  Disabled for now.
-   *
-   * @param localPath - The path of the file.
-   *
-   * @param checkpointID - The id of the checkpoint to restore.
-   *
-   * @returns A promise which resolves when the checkpoint is restored.
+  private async _lookupInRoot(localPath: string, useCache: boolean): Promise<any> {
+    let folderFid = this.root;
+    let folderPath = '';
+    let file: any;
+    for (const name of localPath.split('/')) {
+      const path = folderPath ? `${folderPath}/${name}` : name;
+      file = useCache || path !== localPath ? this._lookupCache.get(path) : undefined;
+      if (!file) {
+        const children = await this._listFolder(folderFid);
+        this._lookupCache.fill(folderPath, children);
+        file = children.find((child: any) => child.filename === name);
+      }
+      if (!file) {
+        throw Private.makeError(ServerConnection.NotFoundError, 404, `"${localPath}" does not exist.`);
+      }
+      folderFid = file.fid;
+      folderPath = path;
+    }
+    return file;
+  }
+
+  /**
+   * List all the files in a folder, given its fid, `'home'` or `'shared'`.
+   */
+  private async _listFolder(fid: string): Promise<any[]> {
+    return this._createFolderListing(fid).fetchAll();
+  }
+
+  /**
+   * Create a paginated listing of a folder, given its fid, `'home'` or `'shared'`.
+   */
+  private _createFolderListing(fid: string): FolderListing {
+    return new FolderListing({
+      fetchPage: (page, pageSize) =>
+        this._fetchJson(['folders', fid], { page, page_size: pageSize, order_by: 'filename'}),
+      pageSize: this._pageSize,
+    });
+  }
+
+  /**
+   * Get the listing of a folder for the file browser.
    *
    * #### Notes
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents).
+   * Only the first page is awaited. The remaining pages are fetched in the
+   * background while the folder is browsed, and the file browser is refreshed
+   * after each of them so that the items show up as they arrive. The listing
+   * is kept until a change of the folder is reported through `fileChanged`,
+   * by this drive or by the change watcher, so refreshes get all the pages
+   * fetched so far instead of listing the folder again. Listings older than
+   * the lookup time to live are listed again once fully fetched, so that
+   * changes missed by the watcher eventually show up.
    */
-  async restoreCheckpoint(
-    localPath: string,
-    checkpointID: string
-  ): Promise<void> {
-    // const url = this._getUrl(localPath, 'checkpoints', checkpointID);
-    // const init = { method: 'POST' };
-    // const response = await ServerConnection.makeRequest(
-    //   url,
-    //   init,
-    //   this.serverSettings
-    // );
-    // if (response.status !== 204) {
-    //   const err = await ServerConnection.ResponseError.create(response);
-    //   throw err;
-    // }
+  private async _getFolderListing(localPath: string, fid: string): Promise<FolderListing> {
+    let entry = this._folderListings.get(localPath);
+    if (entry && !entry.isStreaming && Date.now() - entry.time > this._lookupCache.ttl) {
+      this._folderListings.delete(localPath);
+      entry = undefined;
+    }
+    if (!entry) {
+      const listing = this._createFolderListing(fid);
+      const ready = listing.fetchNext().then(results => {
+        this._lookupCache.fill(localPath, results);
+      });
+      entry = { listing, ready, isStreaming: false, time: Date.now() };
+      this._folderListings.set(localPath, entry);
+    }
+    try {
+      await entry.ready;
+    } catch (error) {
+      this._dropFolderListing(localPath, entry);
+      throw error;
+    }
+    if (!entry.listing.isComplete && !entry.isStreaming) {
+      void this._streamFolderListing(localPath, entry);
+    }
+    return entry.listing;
   }
 
   /**
-   * Delete a checkpoint for a file. Disabled for now.
+   * Fetch the remaining pages of a folder listing while it is being browsed.
    *
-   * @param localPath - The path of the file.
-   *
-   * @param checkpointID - The id of the checkpoint to delete.
+   * Streaming stops when the folder is left, and resumes from the last
+   * fetched page when it is browsed again.
+   */
+  private async _streamFolderListing(localPath: string, entry: Private.IFolderListingEntry): Promise<void> {
+    const { listing } = entry;
+    entry.isStreaming = true;
+    try {
+      while (!listing.isComplete && !this.isDisposed && this._isBrowsing(localPath)) {
+        const results = await listing.fetchNext();
+        // The listing was invalidated meanwhile
+        if (this._folderListings.get(localPath) !== entry) {
+          return;
+        }
+        this._lookupCache.fill(localPath, results);
+        await this.refreshBrowser();
+      }
+    } catch (error) {
+      console.error('Error fetching folder listing', error);
+      this._dropFolderListing(localPath, entry);
+    } finally {
+      entry.isStreaming = false;
+    }
+  }
+
+  /**
+   * Drop the listings of the folders affected by a file change.
    *
-   * @returns A promise which resolves when the checkpoint is deleted.
+   * Those are the folder holding the changed path, and the changed path itself
+   * and its descendants for a folder. Changes to files in the trash folder, or
+   * moving files there, also affect the trash listing.
+   */
+  private _invalidateFolderListings(change: Contents.IChangedArgs): void {
+    for (const path of [change.oldValue?.path, change.newValue?.path]) {
+      if (typeof path !== 'string') {
+        continue;
+      }
+      const parent = path.split('/').slice(0, -1).join('/');
+      for (const folder of Array.from(this._folderListings.keys())) {
+        if (folder === parent || folder === path || folder.startsWith(`${path}/`)) {
+          this._folderListings.delete(folder);
+        }
+      }
+    }
+    if (change.type === 'delete') {
+      this._folderListings.delete(TRASH_PATH);
+    }
+  }
+
+  /**
+   * Drop a folder listing, unless it was replaced meanwhile.
+   */
+  private _dropFolderListing(localPath: string, entry: Private.IFolderListingEntry): void {
+    if (this._folderListings.get(localPath) === entry) {
+      this._folderListings.delete(localPath);
+    }
+  }
+
+  /**
+   * Whether the file browser of this drive currently shows the given folder.
+   */
+  private _isBrowsing(localPath: string): boolean {
+    const fileBrowser = this.browser.tracker.find(
+      (widget: { model: { driveName: string; }; }) => widget.model.driveName === this.name
+    );
+    return fileBrowser?.model.path === `${this.name}:${localPath}`;
+  }
+
+  /**
+   * Get the link to view a file on Figlinq.
    *
-   * #### Notes
-   * Uses the [Jupyter Notebook API](https://petstore.swagger.io/?url=https://raw.githubusercontent.com/jupyter-server/jupyter_server/main/jupyter_server/services/api/api.yaml#!/contents).
+   * Private files get their share key appended when link sharing is enabled.
    */
-  async deleteCheckpoint(
-    localPath: string,
-    checkpointID: string
-  ): Promise<void> {
-    // const url = this._getUrl(localPath, 'checkpoints', checkpointID);
-    // const init = { method: 'DELETE' };
-    // const response = await ServerConnection.makeRequest(
-    //   url,
-    //   init,
-    //   this.serverSettings
-    // );
-    // if (response.status !== 204) {
-    //   const err = await ServerConnection.ResponseError.create(response);
-    //   throw err;
-    // }
+  private _getWebUrl(file: any): string {
+    const [owner, id] = file.fid.split(':');
+    const url = file.web_url || URLExt.join(this.serverSettings.baseUrl, `~${owner}`, id);
+    if (!file.world_readable && file.share_key_enabled && file.share_key) {
+      return `${url}?share_key=${encodeURIComponent(file.share_key)}`;
+    }
+    return url;
+  }
+
+  /**
+   * Make a GET request to the drive API and return the parsed JSON response.
+   */
+  private async _fetchJson(
+    pathParts: string[],
+    params: PartialJSONObject = {}
+  ): Promise<any> {
+    const url = this._getUrl(...pathParts);
+    const response = await ServerConnection.makeRequest(this.serverSettings, url, {}, params);
+    if (response.status !== 200) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    return response.json();
   }
 
   /**
@@ -891,6 +2504,14 @@ export class Drive implements Contents.IDrive {
     return URLExt.join(baseUrl, this._apiEndpoint, ...parts);
   }
 
+  /**
+   * Drop the cached listing of a folder, so that it is listed again on the
+   * next request, e.g. when the user refreshes the file browser.
+   */
+  invalidateFolder(localPath: string): void {
+    this._folderListings.delete(localPath);
+  }
+
   async refreshBrowser() {
     // Use the tracker to find the file browser for this drive
     const fileBrowser = this.browser.tracker.find(
@@ -904,14 +2525,45 @@ export class Drive implements Contents.IDrive {
   }
 
   private _apiEndpoint: string;
+  private _lookupCache: LookupCache;
+  private _pageSize: number | undefined;
+  private _folderListings = new Map<string, Private.IFolderListingEntry>();
+  private _uploadChunks = new Map<string, ArrayBuffer[]>();
+  private _versions = new Map<string, string>();
+  private _hashes = new Map<string, string | null>();
+  private _offline: OfflineStore | null = null;
   private _isDisposed = false;
   private _fileChanged = new Signal<this, Contents.IChangedArgs>(this);
+  private _revisionFailed = new Signal<this, Drive.IRevisionError>(this);
 }
 
 /**
  * A namespace for module private data.
  */
 namespace Private {
+  /**
+   * The status texts of the responses made up by the drive.
+   */
+  const STATUS_TEXTS: { [status: number]: string } = {
+    400: 'Bad Request',
+    403: 'Forbidden',
+    404: 'Not Found',
+  };
+
+  /**
+   * Create the error of a request the drive refuses without sending it.
+   *
+   * The error carries a response of its own, so it can be handled like the
+   * errors of the server.
+   */
+  export function makeError<T extends ServerConnection.ResponseError>(
+    ErrorType: new (response: Response, message?: string) => T,
+    status: number,
+    message: string
+  ): T {
+    return new ErrorType(new Response(null, { status, statusText: STATUS_TEXTS[status] }), message);
+  }
+
   /**
    * Normalize a file extension to be of the type `'.foo'`.
    *
@@ -1002,7 +2654,217 @@ namespace Private {
     validateProperty(model, 'last_modified', 'string');
   }
 
-  function transformItem(item: any, localPath: string ): any {
+  /**
+   * Convert the content of a plotly grid to CSV text.
+   *
+   * Columns are ordered by their `order` attribute, and shorter columns are
+   * padded with empty cells.
+   */
+  export function gridToCsv(data: any): string {
+    const cols: { [name: string]: any } = data?.cols || {};
+    const names = Object.keys(cols).sort(
+      (a, b) => (cols[a].order ?? 0) - (cols[b].order ?? 0)
+    );
+    const rowCount = Math.max(0, ...names.map(name => cols[name].data?.length ?? 0));
+
+    const lines = [names.map(escapeCsvValue).join(',')];
+    for (let row = 0; row < rowCount; row++) {
+      lines.push(names.map(name => escapeCsvValue(cols[name].data?.[row])).join(','));
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Escape a single CSV value, quoting it when needed.
+   */
+  function escapeCsvValue(value: any): string {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const str = String(value);
+    if (/[",\r\n]/.test(str)) {
+      return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+  }
+
+  /**
+   * Decode a base64 string to bytes.
+   */
+  export function base64ToBytes(content: string): ArrayBuffer {
+    const binary = atob(content);
+    const buffer = new ArrayBuffer(binary.length);
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return buffer;
+  }
+
+  /**
+   * Download a binary resource and encode it as base64.
+   */
+  export async function fetchBase64(
+    url: string
+  ): Promise<{ content: string; mimetype: string }> {
+    const response = await fetch(url);
+    if (!response.ok) {
+      const err = await ServerConnection.ResponseError.create(response);
+      throw err;
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return {
+      content: btoa(binary),
+      mimetype: (response.headers.get('content-type') || 'application/octet-stream').split(';')[0],
+    };
+  }
+
+  /**
+   * Convert a Figlinq file revision to a `Contents.ICheckpointModel`.
+   */
+  export function convertToCheckpoint(revision: any): Contents.ICheckpointModel {
+    return {
+      id: String(revision.id),
+      last_modified: revision.creation_time,
+    };
+  }
+
+  /**
+   * Whether a path is the trash folder or a file in it.
+   */
+  export function isTrashPath(path: string): boolean {
+    return path === TRASH_PATH || path.startsWith(`${TRASH_PATH}/`);
+  }
+
+  /**
+   * Get the local id of a file from its fid (`'<owner>:<id>'`).
+   */
+  export function localId(fid: string): number {
+    return parseInt(fid.split(':')[1]);
+  }
+
+  /**
+   * The listing of a folder, kept by the drive until the folder changes.
+   */
+  export interface IFolderListingEntry {
+    /**
+     * The pages of the listing.
+     */
+    listing: FolderListing;
+
+    /**
+     * A promise which resolves once the first page is fetched.
+     */
+    ready: Promise<void>;
+
+    /**
+     * Whether the remaining pages are being fetched.
+     */
+    isStreaming: boolean;
+
+    /**
+     * The time the listing was started at.
+     */
+    time: number;
+  }
+
+  /**
+   * The prefix of the listing fingerprints.
+   */
+  const FINGERPRINT_PREFIX = 'fingerprint:';
+
+  /**
+   * Get a fingerprint of a folder listing page, changing with its files.
+   */
+  export function pageFingerprint(page: any): string {
+    const results: any[] = page?.children?.results || [];
+    const files = results.map(file => `${file.fid}/${file.filename}/${file.date_modified}`);
+    return `${FINGERPRINT_PREFIX}${page?.children?.count ?? ''}:${files.join('|')}`;
+  }
+
+  /**
+   * Whether a listing tag is a fingerprint rather than an ETag of the server.
+   */
+  export function isFingerprint(tag: string): boolean {
+    return tag.startsWith(FINGERPRINT_PREFIX);
+  }
+
+  /**
+   * A file with its descendants, listed before copying them.
+   */
+  export interface IFileTree {
+    /**
+     * The Figlinq file object.
+     */
+    file: any;
+
+    /**
+     * The trees of the children of a folder, empty for other files.
+     */
+    children: IFileTree[];
+  }
+
+  /**
+   * Get a filename for a copy which is not in `existing`: the name itself
+   * when it is free, else "Copy of <name>".
+   */
+  export function uniqueCopyName(name: string, existing: string[]): string {
+    const taken = new Set(existing);
+    if (!taken.has(name)) {
+      return name;
+    }
+    const base = `Copy of ${name}`;
+    let candidate = base;
+    for (let i = 2; taken.has(candidate); i++) {
+      candidate = `${base} (${i})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Whether the current user can edit a file, given its Figlinq permission.
+   * Files without a permission are owned by the current user.
+   */
+  export function isWritable(file: any): boolean {
+    return !READ_ONLY_PERMISSIONS.includes(file?.permission);
+  }
+
+  /**
+   * Compute the SHA-256 hash of the JSON serialization of some content.
+   *
+   * Resolves with `null` where the Web Crypto API is not available.
+   */
+  export async function hashContent(content: any): Promise<string | null> {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      return null;
+    }
+    const bytes = new TextEncoder().encode(JSON.stringify(content));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Create the contents model of a file created or renamed while offline.
+   */
+  export function offlineModel(path: string, type: string): Contents.IModel {
+    const now = new Date().toISOString();
+    return convertToJupyterApi({
+      data: null,
+      type,
+      name: path.split('/').pop(),
+      path,
+      last_modified: now,
+      created: now,
+    });
+  }
+
+  export function transformItem(item: any, localPath: string ): any {
     if (!item) {
       throw new Error("Item is missing or undefined.");
     }
@@ -1020,8 +2882,8 @@ namespace Private {
       content: null,
       format: null,
       mimetype,
-      size: null,
-      writable: true,
+      size: item.size ?? null,
+      writable: isWritable(item),
       hash: null,
       hash_algorithm: null,
       type: itemType,
@@ -1032,11 +2894,28 @@ namespace Private {
   export function convertToJupyterApi(convOptions: any ): any {
     // console.log('convertToJupyterApi start', convOptions);
 
-    const {data, type, name, path, created, last_modified} = convOptions;
+    const {
+      data,
+      pages,
+      type,
+      name,
+      path,
+      created,
+      last_modified,
+      size = null,
+      // Only notebooks and folders can be written through the drive
+      writable = type !== 'file',
+      hash = null,
+      hash_algorithm = null,
+    } = convOptions;
     const mimetype = TYPE_TO_MIMETYPE[type || ""] || null;
     let format = TYPE_TO_FORMAT[type || ""] || null;
-    
-    let transformedData = data?.children ? (data.children?.results || []).map((item: any) => transformItem(item, path)) : data
+
+    // Folder listings come as one or more pages, each holding a slice of the children
+    const folders: any[] = pages || (data?.children ? [data] : []);
+    let transformedData = folders.length
+      ? folders.flatMap((folder: any) => folder?.children?.results || []).map((item: any) => transformItem(item, path))
+      : data
     
     const model = {
         name,
@@ -1046,10 +2925,10 @@ namespace Private {
         content: transformedData,
         format,
         mimetype,
-        size: null,
-        writable: true,
-        hash: null,
-        hash_algorithm: null,
+        size,
+        writable,
+        hash,
+        hash_algorithm,
         type,
     };
 
@@ -0,0 +1,58 @@
+import { Notification } from '@jupyterlab/apputils';
+import { ITranslator, nullTranslator, TranslationBundle } from '@jupyterlab/translation';
+import { ServerConnection } from './serverconnection';
+
+/**
+ * The translation bundle of the error messages.
+ */
+let trans: TranslationBundle = nullTranslator.load('jupyterlab-remote-contents');
+
+/**
+ * Set the translator of the error messages.
+ */
+export function setErrorTranslator(translator: ITranslator): void {
+  trans = translator.load('jupyterlab-remote-contents');
+}
+
+/**
+ * Get the user-facing message of an error.
+ *
+ * Errors from Figlinq get a message matching their type, other errors keep
+ * their own message.
+ */
+export function errorMessage(error: unknown): string {
+  if (error instanceof ServerConnection.NetworkError) {
+    return trans.__('Figlinq cannot be reached. Check your connection and try again.');
+  }
+  if (error instanceof ServerConnection.NotFoundError) {
+    return trans.__('The file was not found in Figlinq, it may have been moved or deleted.');
+  }
+  if (error instanceof ServerConnection.PermissionDeniedError) {
+    return trans.__('You do not have permission to do this in Figlinq.');
+  }
+  if (error instanceof ServerConnection.ConflictError && error.code === 'file_exists') {
+    return trans.__('A file with this name already exists in Figlinq. Choose another name.');
+  }
+  if (error instanceof ServerConnection.ConflictError) {
+    return trans.__('The file was changed in Figlinq meanwhile. Reload it and try again.');
+  }
+  if (error instanceof ServerConnection.QuotaExceededError) {
+    return trans.__('Your Figlinq storage limit is reached. Free some space and try again.');
+  }
+  if (error instanceof ServerConnection.ValidationError) {
+    return trans.__('Figlinq rejected the request: %1', error.message);
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Show a notification for an error.
+ *
+ * @param error - The error.
+ *
+ * @param title - What failed, e.g. "File Save Error for Untitled.ipynb".
+ */
+export function notifyError(error: unknown, title?: string): void {
+  const message = errorMessage(error);
+  Notification.error(title ? `${title}: ${message}` : message);
+}
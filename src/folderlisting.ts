@@ -0,0 +1,94 @@
+/**
+ * The default number of files requested per folder listing page.
+ */
+export const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * A namespace for FolderListing statics.
+ */
+export namespace FolderListing {
+  /**
+   * The options used to initialize a `FolderListing`.
+   */
+  export interface IOptions {
+    /**
+     * Fetch a page of the folder, given its 1-based page number and size.
+     * Resolves with the folder object, whose `children` hold the page results.
+     */
+    fetchPage: (page: number, pageSize: number) => Promise<any>;
+
+    /**
+     * The number of files requested per page.
+     */
+    pageSize?: number;
+  }
+}
+
+/**
+ * The pages of a folder listing, fetched one at a time.
+ */
+export class FolderListing {
+  /**
+   * Construct a new folder listing.
+   *
+   * @param options - The options used to initialize the listing.
+   */
+  constructor(options: FolderListing.IOptions) {
+    this._fetchPage = options.fetchPage;
+    this.pageSize = options.pageSize ?? DEFAULT_PAGE_SIZE;
+  }
+
+  /**
+   * The number of files requested per page.
+   */
+  readonly pageSize: number;
+
+  /**
+   * The folder objects of the pages fetched so far, in order.
+   */
+  get pages(): any[] {
+    return this._pages;
+  }
+
+  /**
+   * Whether all pages have been fetched.
+   */
+  get isComplete(): boolean {
+    return this._isComplete;
+  }
+
+  /**
+   * Fetch the next page of the listing.
+   *
+   * @returns A promise which resolves with the results of the page.
+   */
+  async fetchNext(): Promise<any[]> {
+    if (this._isComplete) {
+      return [];
+    }
+    const page = await this._fetchPage(this._pages.length + 1, this.pageSize);
+    const results: any[] = page?.children?.results || [];
+    this._pages.push(page);
+    // Older API versions do not report the next page, fall back on the page size.
+    const next = page?.children?.next;
+    this._isComplete =
+      next !== undefined ? !next : results.length < this.pageSize;
+    return results;
+  }
+
+  /**
+   * Fetch all remaining pages of the listing.
+   *
+   * @returns A promise which resolves with the results of all pages.
+   */
+  async fetchAll(): Promise<any[]> {
+    while (!this._isComplete) {
+      await this.fetchNext();
+    }
+    return this._pages.flatMap(page => page?.children?.results || []);
+  }
+
+  private _fetchPage: (page: number, pageSize: number) => Promise<any>;
+  private _pages: any[] = [];
+  private _isComplete = false;
+}
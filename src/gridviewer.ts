@@ -0,0 +1,367 @@
+import { CommandToolbarButton } from '@jupyterlab/apputils';
+import {
+  ABCWidgetFactory,
+  DocumentRegistry,
+  DocumentWidget,
+  IDocumentWidget
+} from '@jupyterlab/docregistry';
+import { BasicKeyHandler, BasicMouseHandler, DataGrid, DataModel, TextRenderer } from '@lumino/datagrid';
+import { CommandRegistry } from '@lumino/commands';
+import { Message } from '@lumino/messaging';
+import { PanelLayout, Widget } from '@lumino/widgets';
+
+/**
+ * The class name added to the grid viewer.
+ */
+const GRID_VIEWER_CLASS = 'jp-FiglinqGridViewer';
+
+/**
+ * The name of the grid viewer widget factory.
+ */
+export const GRID_VIEWER_FACTORY = 'Figlinq Grid';
+
+/**
+ * The command inserting the code to import a grid into the active notebook.
+ */
+const INSERT_IMPORT_CODE_COMMAND = 'filebrowser:fq-insert-data-import-code';
+
+/**
+ * The sort order of a grid column.
+ */
+type SortOrder = 'ascending' | 'descending';
+
+/**
+ * A read-only data model of a grid, sortable by column.
+ *
+ * #### Notes
+ * Sorting only reorders a list of row indices, the rows themselves are kept in
+ * their original order.
+ */
+export class GridModel extends DataModel {
+  /**
+   * Construct a new grid model.
+   *
+   * @param header - The names of the columns.
+   * @param rows - The rows, as arrays of cell values.
+   */
+  constructor(header: string[], rows: string[][]) {
+    super();
+    this._header = header;
+    this._rows = rows;
+    this._order = rows.map((_, index) => index);
+  }
+
+  /**
+   * The sorted column and its order, if any.
+   */
+  get sort(): { column: number; order: SortOrder } | null {
+    return this._sort;
+  }
+
+  /**
+   * Sort the rows by a column, or restore their original order.
+   *
+   * @param column - The index of the column to sort by.
+   * @param order - The sort order, or `null` to restore the original order.
+   */
+  sortBy(column: number, order: SortOrder | null): void {
+    this._sort = order ? { column, order } : null;
+    this._order = this._rows.map((_, index) => index);
+    if (order) {
+      const sign = order === 'ascending' ? 1 : -1;
+      this._order.sort(
+        (a, b) => Private.compare(this._rows[a][column], this._rows[b][column], sign) || a - b
+      );
+    }
+    this.emitChanged({ type: 'model-reset' });
+  }
+
+  /**
+   * Get the row count for a region.
+   */
+  rowCount(region: DataModel.RowRegion): number {
+    return region === 'body' ? this._rows.length : 1;
+  }
+
+  /**
+   * Get the column count for a region.
+   */
+  columnCount(region: DataModel.ColumnRegion): number {
+    return region === 'body' ? this._header.length : 1;
+  }
+
+  /**
+   * Get the data of a cell, with the sort order marked in the column header.
+   */
+  data(region: DataModel.CellRegion, row: number, column: number): any {
+    switch (region) {
+      case 'body':
+        return this._rows[this._order[row]][column] ?? '';
+      case 'column-header': {
+        const name = this._header[column];
+        if (this._sort?.column !== column) {
+          return name;
+        }
+        return `${name} ${this._sort.order === 'ascending' ? '▲' : '▼'}`;
+      }
+      case 'row-header':
+        return String(row + 1);
+      default:
+        return '';
+    }
+  }
+
+  private _header: string[];
+  private _rows: string[][];
+  private _order: number[];
+  private _sort: { column: number; order: SortOrder } | null = null;
+}
+
+/**
+ * A read-only viewer of Figlinq grids.
+ *
+ * #### Notes
+ * The grid content comes as CSV from the drive. The Lumino data grid only
+ * renders the visible cells, so large grids scroll smoothly. Clicking a
+ * column header sorts by it, in ascending, then descending, then the
+ * original order.
+ */
+export class GridViewer extends Widget {
+  /**
+   * Construct a new grid viewer.
+   *
+   * @param context - The document context of the grid.
+   */
+  constructor(context: DocumentRegistry.Context) {
+    super();
+    this.addClass(GRID_VIEWER_CLASS);
+    this._context = context;
+
+    this._grid = new DataGrid({
+      style: Private.gridStyle(),
+      defaultSizes: { rowHeight: 24, columnWidth: 144, rowHeaderWidth: 64, columnHeaderHeight: 36 }
+    });
+    const renderer = Private.textRenderer();
+    this._grid.cellRenderers.update({
+      body: renderer,
+      'column-header': renderer,
+      'row-header': renderer,
+      'corner-header': renderer
+    });
+    this._grid.keyHandler = new BasicKeyHandler();
+    this._grid.mouseHandler = new BasicMouseHandler();
+    this._grid.copyConfig = { ...this._grid.copyConfig, headers: 'all' };
+    this._grid.node.addEventListener('click', this._onClick);
+
+    const layout = (this.layout = new PanelLayout());
+    layout.addWidget(this._grid);
+
+    void context.ready.then(() => {
+      this._update();
+      context.model.contentChanged.connect(this._update, this);
+    });
+  }
+
+  /**
+   * The data model of the grid, `null` until the grid is loaded.
+   */
+  get model(): GridModel | null {
+    return this._grid.dataModel as GridModel | null;
+  }
+
+  /**
+   * Dispose of the resources held by the viewer.
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+    this._grid.node.removeEventListener('click', this._onClick);
+    super.dispose();
+  }
+
+  /**
+   * Give the focus to the grid, for keyboard navigation.
+   */
+  protected onActivateRequest(msg: Message): void {
+    this._grid.node.tabIndex = -1;
+    this._grid.node.focus();
+  }
+
+  /**
+   * Sort by the column whose header is clicked.
+   */
+  private _onClick = (event: MouseEvent): void => {
+    const model = this.model;
+    const hit = this._grid.hitTest(event.clientX, event.clientY);
+    if (!model || hit.region !== 'column-header') {
+      return;
+    }
+    const current = model.sort?.column === hit.column ? model.sort.order : null;
+    const next: SortOrder | null =
+      current === null ? 'ascending' : current === 'ascending' ? 'descending' : null;
+    model.sortBy(hit.column, next);
+  };
+
+  /**
+   * Load the grid content of the document, keeping the sort order.
+   */
+  private _update(): void {
+    const [header = [], ...rows] = Private.parseCsv(this._context.model.toString());
+    const sort = this.model?.sort;
+    const model = new GridModel(header, rows);
+    if (sort && sort.column < header.length) {
+      model.sortBy(sort.column, sort.order);
+    }
+    this._grid.dataModel = model;
+  }
+
+  private _context: DocumentRegistry.Context;
+  private _grid: DataGrid;
+}
+
+/**
+ * A namespace for GridViewerFactory statics.
+ */
+export namespace GridViewerFactory {
+  /**
+   * The options used to initialize a `GridViewerFactory`.
+   */
+  export interface IOptions extends DocumentRegistry.IWidgetFactoryOptions<IDocumentWidget<GridViewer>> {
+    /**
+     * The command registry, for the toolbar buttons.
+     */
+    commands: CommandRegistry;
+  }
+}
+
+/**
+ * A widget factory for Figlinq grid viewers.
+ */
+export class GridViewerFactory extends ABCWidgetFactory<IDocumentWidget<GridViewer>> {
+  /**
+   * Construct a new grid viewer factory.
+   *
+   * @param options - The options used to initialize the factory.
+   */
+  constructor(options: GridViewerFactory.IOptions) {
+    super(options);
+    this._commands = options.commands;
+  }
+
+  /**
+   * Create a new grid viewer widget.
+   */
+  protected createNewWidget(context: DocumentRegistry.Context): IDocumentWidget<GridViewer> {
+    const widget = new DocumentWidget({ content: new GridViewer(context), context });
+    widget.toolbar.addItem(
+      'insert-import-code',
+      new CommandToolbarButton({
+        commands: this._commands,
+        id: INSERT_IMPORT_CODE_COMMAND,
+        args: { path: context.path },
+        label: 'Insert import code'
+      })
+    );
+    return widget;
+  }
+
+  private _commands: CommandRegistry;
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Parse CSV text into rows of values.
+   *
+   * Values may be quoted, with doubled quotes, commas and line breaks inside.
+   */
+  export function parseCsv(text: string): string[][] {
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let value = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+    if (value || row.length) {
+      row.push(value);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Compare two cell values, numerically when both are numbers, with empty
+   * values last in either order.
+   *
+   * @param sign - `1` for the ascending order, `-1` for the descending one.
+   */
+  export function compare(a: string | undefined, b: string | undefined, sign: number): number {
+    if (!a || !b) {
+      return (a ? 0 : 1) - (b ? 0 : 1);
+    }
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (Number.isFinite(numberA) && Number.isFinite(numberB)) {
+      return sign * (numberA - numberB);
+    }
+    return sign * a.localeCompare(b, undefined, { numeric: true });
+  }
+
+  /**
+   * Get a data grid style matching the current JupyterLab theme.
+   */
+  export function gridStyle(): DataGrid.Style {
+    const css = getComputedStyle(document.body);
+    const color = (name: string, fallback: string) => css.getPropertyValue(name).trim() || fallback;
+    return {
+      ...DataGrid.defaultStyle,
+      voidColor: color('--jp-layout-color0', '#ffffff'),
+      backgroundColor: color('--jp-layout-color0', '#ffffff'),
+      headerBackgroundColor: color('--jp-layout-color2', '#eeeeee'),
+      gridLineColor: color('--jp-border-color3', 'rgba(20, 20, 20, 0.15)'),
+      headerGridLineColor: color('--jp-border-color2', 'rgba(20, 20, 20, 0.25)'),
+      selectionFillColor: color('--jp-brand-color3', 'rgba(49, 119, 180, 0.2)'),
+      cursorBorderColor: color('--jp-brand-color1', 'rgba(0, 107, 180, 1)')
+    };
+  }
+
+  /**
+   * Get a text renderer matching the current JupyterLab theme.
+   */
+  export function textRenderer(): TextRenderer {
+    const css = getComputedStyle(document.body);
+    return new TextRenderer({
+      textColor: css.getPropertyValue('--jp-ui-font-color1').trim() || '#000000',
+      horizontalAlignment: 'left'
+    });
+  }
+}
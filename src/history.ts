@@ -0,0 +1,450 @@
+import { JupyterFrontEnd } from '@jupyterlab/application';
+import { Dialog, InputDialog, MainAreaWidget, ToolbarButton, showDialog } from '@jupyterlab/apputils';
+import { IEditorServices } from '@jupyterlab/codeeditor';
+import { Time } from '@jupyterlab/coreutils';
+import { DocumentRegistry } from '@jupyterlab/docregistry';
+import { INotebookTracker, Notebook, NotebookPanel } from '@jupyterlab/notebook';
+import { TranslationBundle } from '@jupyterlab/translation';
+import { mdiHistory, mdiRestore } from '@mdi/js';
+import { Message } from '@lumino/messaging';
+import { Widget } from '@lumino/widgets';
+import { DriveBrowsers } from './browsers';
+import { Drive } from './drive';
+import { errorMessage } from './errors';
+import { createIcon } from './icons';
+import { openNotebookDiff } from './notebookdiff';
+import { createNotebookPreview } from './preview';
+
+/**
+ * The class name added to the history panel.
+ */
+const HISTORY_CLASS = 'jp-FiglinqHistory';
+
+/**
+ * A namespace for HistoryPanel statics.
+ */
+export namespace HistoryPanel {
+  /**
+   * The options used to initialize a `HistoryPanel`.
+   */
+  export interface IOptions {
+    /**
+     * The application, to open revision previews in.
+     */
+    app: JupyterFrontEnd;
+
+    /**
+     * The Figlinq file browsers, to find the drive of the notebooks.
+     */
+    browsers: DriveBrowsers;
+
+    /**
+     * The notebook tracker, to follow the active notebook.
+     */
+    tracker: INotebookTracker;
+
+    /**
+     * The editor services, to preview revisions.
+     */
+    editorServices: IEditorServices;
+
+    /**
+     * The translation bundle of the extension.
+     */
+    trans: TranslationBundle;
+  }
+}
+
+/**
+ * A side panel listing the revisions of the active notebook.
+ *
+ * #### Notes
+ * Saving a Figlinq notebook creates a revision, unless its content did not
+ * change or the revision cannot be created. Revisions can be previewed
+ * read-only, compared with the open notebook, restored, and named. The list is
+ * refreshed when the active notebook changes or is saved, while the panel is
+ * visible.
+ */
+export class HistoryPanel extends Widget {
+  /**
+   * Construct a new history panel.
+   *
+   * @param options - The options used to initialize the panel.
+   */
+  constructor(options: HistoryPanel.IOptions) {
+    super();
+    this._app = options.app;
+    this._browsers = options.browsers;
+    this._tracker = options.tracker;
+    this._editorServices = options.editorServices;
+    this._trans = options.trans;
+    this.addClass(HISTORY_CLASS);
+    this.title.icon = createIcon(mdiHistory);
+    this.title.caption = this._trans.__('History');
+
+    const header = document.createElement('div');
+    header.className = `${HISTORY_CLASS}-header`;
+    this._titleNode = document.createElement('span');
+    this._titleNode.className = `${HISTORY_CLASS}-title`;
+    this._nameButton = document.createElement('button');
+    this._nameButton.className = 'jp-mod-styled';
+    this._nameButton.textContent = this._trans.__('Name current version');
+    this._nameButton.onclick = () => void this._nameCurrent();
+    header.append(this._titleNode, this._nameButton);
+
+    this._list = document.createElement('ul');
+    this._list.className = `${HISTORY_CLASS}-list`;
+
+    this._status = document.createElement('div');
+    this._status.className = `${HISTORY_CLASS}-status`;
+
+    this.node.append(header, this._list, this._status);
+
+    this._tracker.currentChanged.connect(this._onCurrentChanged, this);
+    this._onCurrentChanged();
+  }
+
+  /**
+   * Dispose of the resources held by the panel.
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+    this._tracker.currentChanged.disconnect(this._onCurrentChanged, this);
+    this._notebook?.context.saveState.disconnect(this._onSaveState, this);
+    super.dispose();
+  }
+
+  /**
+   * Refresh the revision list when the panel is shown, if it is out of date.
+   */
+  protected onAfterShow(msg: Message): void {
+    super.onAfterShow(msg);
+    if (this._stale) {
+      void this.refresh();
+    }
+  }
+
+  /**
+   * Refresh the revision list of the active notebook.
+   */
+  async refresh(): Promise<void> {
+    this._stale = false;
+    const refresh = ++this._refreshCount;
+    const notebook = this._notebook;
+    const target = notebook ? this._browsers.resolve(notebook.context.path) : null;
+
+    this._titleNode.textContent = notebook
+      ? notebook.title.label
+      : this._trans.__('No active notebook');
+    this._nameButton.disabled = !target;
+    this._list.replaceChildren();
+    if (!notebook) {
+      this._status.textContent = '';
+      return;
+    }
+    if (!target) {
+      this._status.textContent = this._trans.__('This notebook is not stored in Figlinq.');
+      return;
+    }
+
+    this._status.textContent = this._trans.__('Loading…');
+    try {
+      const file = await target.drive.lookup(target.localPath);
+      const revisions = await target.drive.listRevisions(file.fid);
+      // Another notebook was activated meanwhile
+      if (refresh !== this._refreshCount) {
+        return;
+      }
+      this._status.textContent = revisions.length
+        ? ''
+        : this._trans.__('No revisions yet. Each save creates one.');
+      for (const revision of revisions.reverse()) {
+        this._list.appendChild(this._renderRevision(notebook, target.drive, file.fid, revision));
+      }
+    } catch (error) {
+      if (refresh === this._refreshCount) {
+        this._status.textContent = errorMessage(error);
+      }
+    }
+  }
+
+  /**
+   * Follow the save state of the active notebook.
+   */
+  private _onCurrentChanged(): void {
+    this._notebook?.context.saveState.disconnect(this._onSaveState, this);
+    this._notebook = this._tracker.currentWidget;
+    this._notebook?.context.saveState.connect(this._onSaveState, this);
+    this._scheduleRefresh();
+  }
+
+  private _onSaveState(_: DocumentRegistry.Context, state: DocumentRegistry.SaveState): void {
+    if (state === 'completed') {
+      this._scheduleRefresh();
+    }
+  }
+
+  /**
+   * Refresh the revision list now if the panel is visible, or when it is shown.
+   */
+  private _scheduleRefresh(): void {
+    if (this.isVisible) {
+      void this.refresh();
+    } else {
+      this._stale = true;
+    }
+  }
+
+  /**
+   * Render a revision of a notebook.
+   */
+  private _renderRevision(
+    notebook: NotebookPanel,
+    drive: Drive,
+    fid: string,
+    revision: any
+  ): HTMLLIElement {
+    const item = document.createElement('li');
+    item.className = `${HISTORY_CLASS}-item`;
+
+    const info = document.createElement('div');
+    info.className = `${HISTORY_CLASS}-info`;
+    if (revision.name) {
+      const name = document.createElement('span');
+      name.className = `${HISTORY_CLASS}-name`;
+      name.textContent = revision.name;
+      info.appendChild(name);
+    }
+    const time = document.createElement('span');
+    time.className = `${HISTORY_CLASS}-time`;
+    time.textContent = Time.format(revision.creation_time);
+    time.title = Time.formatHuman(revision.creation_time);
+    info.appendChild(time);
+    const author = Private.author(revision);
+    if (author) {
+      const authorNode = document.createElement('span');
+      authorNode.className = `${HISTORY_CLASS}-author`;
+      authorNode.textContent = author;
+      info.appendChild(authorNode);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = `${HISTORY_CLASS}-actions`;
+    const addAction = (label: string, onclick: () => Promise<unknown>) => {
+      const button = document.createElement('button');
+      button.className = 'jp-mod-styled';
+      button.textContent = label;
+      button.onclick = () => void onclick();
+      actions.appendChild(button);
+    };
+    addAction(this._trans.__('Preview'), () => this._preview(notebook, drive, fid, revision));
+    addAction(this._trans.__('Compare'), () => this._compare(notebook, drive, fid, revision));
+    addAction(this._trans.__('Restore'), () => this._restore(notebook, drive, fid, revision));
+    addAction(this._trans.__('Name'), () => this._name(drive, fid, revision));
+
+    item.append(info, actions);
+    return item;
+  }
+
+  /**
+   * Open a read-only preview of a revision next to the notebook.
+   */
+  private async _preview(
+    notebook: NotebookPanel,
+    drive: Drive,
+    fid: string,
+    revision: any
+  ): Promise<void> {
+    await this._run(async () => {
+      const content = await drive.getRevisionContent(fid, String(revision.id));
+      const preview = createNotebookPreview(content, {
+        rendermime: notebook.content.rendermime,
+        contentFactory: notebook.content.contentFactory,
+        mimeTypeService: this._editorServices.mimeTypeService
+      });
+      const widget = new MainAreaWidget<Notebook>({ content: preview });
+      widget.id = `jp-figlinq-revision-${fid}-${revision.id}`;
+      widget.title.label = `${notebook.title.label} (${revisionLabel(revision)})`;
+      widget.title.icon = createIcon(mdiHistory);
+      widget.title.closable = true;
+      widget.toolbar.addItem(
+        'restore',
+        new ToolbarButton({
+          icon: createIcon(mdiRestore),
+          label: this._trans.__('Restore this version'),
+          onClick: () => {
+            void this._restore(notebook, drive, fid, revision).then(restored => {
+              if (restored) {
+                widget.dispose();
+              }
+            });
+          }
+        })
+      );
+      this._app.shell.add(widget, 'main', { ref: notebook.id, mode: 'split-right' });
+    });
+  }
+
+  /**
+   * Open the changes of the open notebook since a revision.
+   */
+  private async _compare(
+    notebook: NotebookPanel,
+    drive: Drive,
+    fid: string,
+    revision: any
+  ): Promise<void> {
+    await this._run(async () => {
+      const content = await drive.getRevisionContent(fid, String(revision.id));
+      openNotebookDiff(this._app, this._trans.__('%1 (changes)', notebook.title.label), {
+        oldContent: content,
+        newContent: notebook.model?.toJSON(),
+        oldLabel: revisionLabel(revision),
+        newLabel: this._trans.__('Open notebook'),
+        trans: this._trans
+      });
+    });
+  }
+
+  /**
+   * Restore a revision of a notebook and reload it.
+   *
+   * Reloading discards the unsaved changes of the notebook, so they are only
+   * discarded once the user confirms.
+   *
+   * @returns Whether the revision was restored.
+   */
+  private async _restore(
+    notebook: NotebookPanel,
+    drive: Drive,
+    fid: string,
+    revision: any
+  ): Promise<boolean> {
+    if (notebook.context.model.dirty) {
+      const result = await showDialog({
+        title: this._trans.__('Restore Revision'),
+        body: this._trans.__(
+          '"%1" has unsaved changes, restoring "%2" discards them. Restore anyway?',
+          notebook.title.label,
+          revisionLabel(revision)
+        ),
+        buttons: [Dialog.cancelButton(), Dialog.warnButton({ label: this._trans.__('Restore') })]
+      });
+      if (!result.button.accept) {
+        return false;
+      }
+    }
+    const restored = await this._run(async () => {
+      await drive.restoreRevision(fid, String(revision.id));
+      if (!notebook.isDisposed) {
+        await notebook.context.revert();
+      }
+    });
+    await this.refresh();
+    return restored;
+  }
+
+  /**
+   * Name a revision, or clear its name.
+   */
+  private async _name(drive: Drive, fid: string, revision: any): Promise<void> {
+    const result = await InputDialog.getText({
+      title: this._trans.__('Name Revision'),
+      text: revision.name ?? '',
+      placeholder: this._trans.__('Revision name')
+    });
+    if (!result.button.accept || result.value === null) {
+      return;
+    }
+    const name = result.value.trim();
+    await this._run(() => drive.renameRevision(fid, String(revision.id), name));
+    await this.refresh();
+  }
+
+  /**
+   * Save the active notebook and name the revision of its content.
+   *
+   * #### Notes
+   * A revision is only created when the content changed since the latest
+   * one, otherwise the latest revision is named.
+   */
+  private async _nameCurrent(): Promise<void> {
+    const notebook = this._notebook;
+    const target = notebook ? this._browsers.resolve(notebook.context.path) : null;
+    if (!notebook || !target) {
+      return;
+    }
+    const result = await InputDialog.getText({
+      title: this._trans.__('Name Current Version'),
+      placeholder: this._trans.__('Revision name')
+    });
+    const name = result.value?.trim();
+    if (!result.button.accept || !name) {
+      return;
+    }
+    await this._run(async () => {
+      await notebook.context.save();
+      const { fid } = await target.drive.lookup(target.localPath);
+      const revision = await target.drive.createRevision(fid, name);
+      if (!revision) {
+        const revisions = await target.drive.listRevisions(fid);
+        const latest = revisions[revisions.length - 1];
+        if (latest) {
+          await target.drive.renameRevision(fid, String(latest.id), name);
+        }
+      }
+    });
+    await this.refresh();
+  }
+
+  /**
+   * Run an action, showing its errors in the panel.
+   *
+   * @returns Whether the action succeeded.
+   */
+  private async _run(action: () => Promise<unknown>): Promise<boolean> {
+    this._status.textContent = '';
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      this._status.textContent = errorMessage(error);
+      return false;
+    }
+  }
+
+  private _app: JupyterFrontEnd;
+  private _browsers: DriveBrowsers;
+  private _tracker: INotebookTracker;
+  private _editorServices: IEditorServices;
+  private _trans: TranslationBundle;
+  private _notebook: NotebookPanel | null = null;
+  private _titleNode: HTMLSpanElement;
+  private _nameButton: HTMLButtonElement;
+  private _list: HTMLUListElement;
+  private _status: HTMLDivElement;
+  private _stale = false;
+  private _refreshCount = 0;
+}
+
+/**
+ * Get the label of a revision, its name or else its creation time.
+ */
+export function revisionLabel(revision: any): string {
+  return revision.name || Time.format(revision.creation_time);
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Get the username of the author of a revision.
+   */
+  export function author(revision: any): string {
+    const author = revision.author ?? revision.user;
+    return typeof author === 'string' ? author : author?.username ?? '';
+  }
+}
@@ -1,24 +1,64 @@
 import { JupyterFrontEnd, JupyterFrontEndPlugin } from '@jupyterlab/application';
-import { ToolbarButton } from '@jupyterlab/apputils';
-import { IFileBrowserFactory, Uploader } from '@jupyterlab/filebrowser';
-import { ITranslator } from '@jupyterlab/translation';
-import { FilenameSearcher, IScore, folderIcon, newFolderIcon, refreshIcon } from '@jupyterlab/ui-components';
+import { Notification, ToolbarButton } from '@jupyterlab/apputils';
+import { IDocumentManager } from '@jupyterlab/docmanager';
+import { FileBrowser, FilterFileBrowserModel, IFileBrowserFactory, Uploader } from '@jupyterlab/filebrowser';
+import { ITranslator, TranslationBundle } from '@jupyterlab/translation';
+import { FilenameSearcher, IScore, LabIcon, folderIcon, newFolderIcon, refreshIcon } from '@jupyterlab/ui-components';
 import { ServerConnection } from './serverconnection';
-import { Drive } from './drive';
-import { toArray } from '@lumino/algorithm';
+import { Drive, SaveConflictError } from './drive';
+import { find, toArray } from '@lumino/algorithm';
 import { Contents } from '@jupyterlab/services';
-import { Context } from '@jupyterlab/docregistry';
+import { Context, DocumentWidget } from '@jupyterlab/docregistry';
 import { showDialog, Dialog } from '@jupyterlab/apputils';
 import { ILauncher } from '@jupyterlab/launcher';
-import { IDisposable } from '@lumino/disposable';
-import {SERVICE_DRIVE_URL} from './drive';
-import { URLExt } from '@jupyterlab/coreutils';
+import {SERVICE_DRIVE_URL, TRASH_PATH} from './drive';
+import { DEFAULT_PAGE_SIZE } from './folderlisting';
+import { ISettingRegistry } from '@jupyterlab/settingregistry';
+import { LauncherFilter } from './launcher';
+import { loadCredentials, showLoginDialog } from './login';
+import { errorMessage, notifyError, setErrorTranslator } from './errors';
 import { INotebookTracker } from '@jupyterlab/notebook';
-import { addContextMenuCommands } from './commands';
-import { getFileTypeToIcon } from './icons';
+import { IEditorServices } from '@jupyterlab/codeeditor';
+import { IStatusBar } from '@jupyterlab/statusbar';
+import { addCompareCommands, addContextMenuCommands, addDownloadCommands, addPropertiesCommands, addSharingCommands, addTrashCommands } from './commands';
+import { FILETYPE_TO_ICON, createIcon, getFileTypeToIcon } from './icons';
+import { mdiAccountGroupOutline, mdiDeleteOutline, mdiFolderAccountOutline } from '@mdi/js';
+import { ConnectionStatusItem } from './status';
+import { ChangeWatcher } from './watcher';
+import { DriveBrowsers } from './browsers';
+import { DeepLinks } from './deeplinks';
+import { HistoryPanel } from './history';
+import { SearchPanel } from './search';
+import { GRID_VIEWER_FACTORY, GridViewerFactory } from './gridviewer';
+import { PLOT_VIEWER_FACTORY, PlotViewerFactory } from './plotviewer';
+import { Widget } from '@lumino/widgets';
 
+/**
+ * Defaults of the plugin settings, used when the settings cannot be loaded.
+ * Keep in line with `schema/plugin.json`.
+ */
 const DRIVE_NAME = 'Figlinq';
 const REMOVE_LAUNCHER_COMMANDS = ['fileeditor:create-new', 'fileeditor:create-new-markdown-file'];
+const DISABLE_DEFAULT_FILE_BROWSER = true;
+const OFFLINE = false;
+
+/**
+ * Team folders shown as drives of their own, next to My files and Shared with me.
+ */
+const TEAM_FOLDERS: { label: string; fid: string }[] = [];
+
+/**
+ * Widget factories used to open Figlinq files, keyed by the mimetype
+ * of the file browser item. Figlinq filenames have no extension, so the factory
+ * cannot be inferred from the path.
+ */
+const MIMETYPE_TO_FACTORY: { [key: string]: string } = {
+  'figlinq/grid': GRID_VIEWER_FACTORY,
+  'figlinq/plot': PLOT_VIEWER_FACTORY,
+  'figlinq/figure': PLOT_VIEWER_FACTORY,
+  'figlinq/html-text': 'HTML Viewer',
+  'figlinq/external-image': 'Image',
+};
 
 // Define the custom implementation for _maybeOverWrite to skip deleting the file in figlinq
 async function customMaybeOverWrite(this: any, path: string): Promise<void> {
@@ -48,62 +88,88 @@ async function customMaybeOverWrite(this: any, path: string): Promise<void> {
   });
 }
 
-// Override the method on the prototype, bypassing the private visibility restriction
-(Context.prototype as any)._maybeOverWrite = customMaybeOverWrite;
+// Define the custom implementation for _raiseConflict, offering to save the open version as a copy
+async function customRaiseConflict(
+  this: any,
+  model: Contents.IModel,
+  options: Drive.ISaveOptions
+): Promise<Contents.IModel> {
+  if (this._conflictModalIsOpen) {
+    const error = new Error('Modal is already displayed');
+    error.name = 'ModalDuplicateError';
+    throw error;
+  }
 
-/**
- * Loads a file from URL parameters and opens it in the document manager.
- *
- * @param commands - The command registry used to execute commands.
- * @param widget - The widget whose model will be updated with the file's directory path.
- *
- * This function retrieves the file ID (fid) from the URL parameters. If the fid is present,
- * it constructs a URL to fetch the file path associated with the fid. If the fetch request
- * is successful, it opens the file using the document manager and updates the widget's model
- * with the directory path of the file. If the fetch request fails or an error occurs while
- * opening the file, an error dialog is displayed.
- */
-const loadFileFromUrlParams = async (commands: any, widget: any) => {
-  const urlParams = new URLSearchParams(window.parent.location.search);
-  const fid = urlParams.get('fid') || '';
-  if (fid) {
-    // GET file path from fid
-    let cdPath = '/';
-    const parts = [
-      SERVICE_DRIVE_URL,
-      'files',
-      fid,
-      'path'
-    ];
-    const partsEncoded = parts.map(part => URLExt.encodeParts(part));
-    const url = '/' + partsEncoded.join('/');
-
-    const showErrorDialog = () => {
-      showDialog({
-        title: 'FIle loading error',
-        body: `Failed to load file with id ${fid}.`,
-        buttons: [Dialog.okButton({ label: 'OK' })]
-      });
-    }
+  const body = this._trans.__(
+    `"%1" has changed on Figlinq since it was opened or last saved.
+Do you want to overwrite it with the version open here, reload the version
+on Figlinq, or save the version open here as a copy?`,
+    this.path
+  );
+  const copyBtn = Dialog.okButton({
+    label: this._trans.__('Save as Copy'),
+    actions: ['copy']
+  });
+  const reloadBtn = Dialog.okButton({
+    label: this._trans.__('Reload'),
+    actions: ['reload']
+  });
+  const overwriteBtn = Dialog.warnButton({
+    label: this._trans.__('Overwrite'),
+    actions: ['overwrite']
+  });
 
-    const response = await fetch(url);
-    if (!response.ok) {
-      showErrorDialog();
-    } else {
-      const data = await response.json();
-      try {
-        commands.execute('docmanager:open', { path: `${DRIVE_NAME}:${data.path}` });
-        const pathSplit = data.path.split('/')
-        if (pathSplit.length > 1) {
-          cdPath = pathSplit.slice(0, pathSplit.length - 1).join('/');
-        }
-      } catch (error) {
-        showErrorDialog();
-      }
+  this._conflictModalIsOpen = true;
+  const result = await showDialog({
+    title: this._trans.__('File Changed'),
+    body,
+    buttons: [Dialog.cancelButton(), copyBtn, reloadBtn, overwriteBtn]
+  });
+  this._conflictModalIsOpen = false;
+  if (this.isDisposed) {
+    throw new Error('Disposed');
+  }
+
+  if (result.button.actions.includes('overwrite')) {
+    return this._manager.contents.save(this._path, { ...options, overwrite: true });
+  }
+  if (result.button.actions.includes('reload')) {
+    await this.revert();
+    return model;
+  }
+  if (result.button.actions.includes('copy')) {
+    // The copy is saved by saveAs, the original save is cancelled
+    await this.saveAs();
+  }
+  const error = new Error('Cancel');
+  error.name = 'ModalCancelError';
+  throw error;
+}
+
+const originalMaybeSave = (Context.prototype as any)._maybeSave;
+
+// Define the custom implementation for _maybeSave, turning conflicts detected by the drive into the conflict dialog
+async function customMaybeSave(this: any, options: Drive.ISaveOptions): Promise<Contents.IModel> {
+  try {
+    return await originalMaybeSave.call(this, options);
+  } catch (error) {
+    if (error instanceof SaveConflictError) {
+      return this._raiseConflict({ ...this.contentsModel, last_modified: error.remoteModified }, options);
     }
-    widget.model.cd(cdPath);
+    throw error;
   }
-};
+}
+
+// Define the custom implementation for _handleError, showing the same notifications as the Figlinq commands
+async function customHandleError(this: any, err: Error, title: string): Promise<void> {
+  notifyError(err, title);
+}
+
+// Override the methods on the prototype, bypassing the private visibility restriction
+(Context.prototype as any)._maybeOverWrite = customMaybeOverWrite;
+(Context.prototype as any)._raiseConflict = customRaiseConflict;
+(Context.prototype as any)._maybeSave = customMaybeSave;
+(Context.prototype as any)._handleError = customHandleError;
 
 /**
  * Disables the default file browser in a JupyterFrontEnd application.
@@ -142,35 +208,119 @@ const disableDefaultFileBrowser = (app: JupyterFrontEnd) => {
 }
 
 /**
- * Defines custom rename, to skip the drive check (which gives an error when dropping onto root folder).
+ * Opens a file with the widget factory matching its Figlinq type.
+ *
+ * @param app - The JupyterFrontEnd application instance.
+ * @param path - The global path of the file.
+ * @param mimetype - The Figlinq mimetype of the file, if known.
+ *
+ * Falls back to the default widget factory when the file has no matching factory,
+ * or when that factory is not available in the application.
+ */
+const openWithFactory = async (
+  app: JupyterFrontEnd,
+  path: string,
+  mimetype?: string
+): Promise<Widget | undefined> => {
+  const factory = mimetype ? MIMETYPE_TO_FACTORY[mimetype] : undefined;
+  if (factory && app.docRegistry.getWidgetFactory(factory)) {
+    return app.commands.execute('docmanager:open', { path, factory });
+  }
+  return app.commands.execute('docmanager:open', { path });
+}
+
+/**
+ * Opens a file from the file browser with the widget factory matching its Figlinq type.
+ *
+ * @param app - The JupyterFrontEnd application instance.
+ * @param widget - The file browser the file is opened from.
+ * @param path - The global path of the file.
+ */
+const openFiglinqFile = (app: JupyterFrontEnd, widget: FileBrowser, path: string) => {
+  const item = find(widget.model.items(), item => item.path === path);
+  void openWithFactory(app, path, item?.mimetype);
+}
+
+/**
+ * Get the drive of a destination path.
+ *
+ * Breadcrumb drops give paths without a drive name, those belong to the drive
+ * the files are dragged from.
+ *
+ * @param manager - The contents manager.
+ * @param path - The destination path.
+ * @param fromDrive - The drive of the source path.
+ */
+function destinationDrive(manager: any, path: string, fromDrive: Contents.IDrive): [Contents.IDrive, string] {
+  if (!manager.driveName(path) && fromDrive instanceof Drive) {
+    return [fromDrive, manager.localPath(path)];
+  }
+  return manager._driveForPath(path);
+}
+
+/**
+ * Defines custom rename, moving files across the Figlinq drives.
  *
  * @param this - The context in which the function is called.
  * @param path - The current path of the file or directory to be renamed.
  * @param newPath - The new path for the file or directory.
  * @returns A promise that resolves to the updated contents model with the new path.
  *
- * @throws Error if renaming files across different drives is attempted.
+ * @throws Error if renaming files across drives which are not both Figlinq drives is attempted.
  */
 async function customRename(this: any, path: string, newPath: string): Promise<any> {
   const [drive1, path1] = this._driveForPath(path);
-  const [, path2] = this._driveForPath(newPath);
-  
-  // Disable the drive check, we only have one drive
-  // if (drive1 !== drive2 && newPath !== '') {
-  //     throw Error('ContentsManager: renaming files must occur within a Drive');
-  // }
-  return drive1.rename(path1, path2).then((contentsModel: Contents.IModel) => {
-      return Object.assign(Object.assign({}, contentsModel), { path: this._toGlobalPath(drive1, path2) });
-  });
+  const [drive2, path2] = destinationDrive(this, newPath, drive1);
+
+  let contentsModel: Contents.IModel;
+  if (drive1 === drive2) {
+    contentsModel = await drive1.rename(path1, path2);
+  } else if (drive1 instanceof Drive && drive2 instanceof Drive) {
+    contentsModel = await drive1.moveToDrive(path1, drive2, path2);
+  } else {
+    throw Error('ContentsManager: renaming files must occur within a Drive');
+  }
+  return { ...contentsModel, path: this._toGlobalPath(drive2, path2) };
+}
+
+/**
+ * Defines custom copy, copying files across the Figlinq drives.
+ *
+ * @param this - The context in which the function is called.
+ * @param fromFile - The path of the file to copy.
+ * @param toDir - The destination directory path.
+ * @returns A promise that resolves to the contents model of the copy.
+ *
+ * @throws Error if copying files across drives which are not both Figlinq drives is attempted.
+ */
+async function customCopy(this: any, fromFile: string, toDir: string): Promise<any> {
+  const [drive1, path1] = this._driveForPath(fromFile);
+  const [drive2, path2] = destinationDrive(this, toDir, drive1);
+
+  let contentsModel: Contents.IModel;
+  if (drive1 === drive2) {
+    contentsModel = await drive1.copy(path1, path2);
+  } else if (drive1 instanceof Drive && drive2 instanceof Drive) {
+    contentsModel = await drive1.copyToDrive(path1, drive2, path2);
+  } else {
+    throw Error('Copying files between drives is not currently implemented');
+  }
+  return {
+    ...contentsModel,
+    path: this._toGlobalPath(drive2, contentsModel.path),
+    serverPath: contentsModel.path
+  };
 }
 
 /**
- * Register custom file types
+ * Register custom file types, and the viewers of grids, plots and figures
  * @param app The JupyterFrontEnd instance
+ * @param browsers The Figlinq file browsers, to find the drive of the files
+ * @param trans The translation bundle of the extension
  * @returns void
  * 
 **/
-function registerCustomFileTypes(app: JupyterFrontEnd) {
+function registerCustomFileTypes(app: JupyterFrontEnd, browsers: DriveBrowsers, trans: TranslationBundle) {
   const registry = app.docRegistry;
   const filetypeToIcon = getFileTypeToIcon();
 
@@ -186,6 +336,212 @@ function registerCustomFileTypes(app: JupyterFrontEnd) {
       icon: fileTypeData.icon,
     });
   });
+
+  registry.addWidgetFactory(
+    new GridViewerFactory({
+      name: GRID_VIEWER_FACTORY,
+      label: trans.__('Figlinq Grid Viewer'),
+      fileTypes: [filetypeToIcon.grid.name],
+      defaultFor: [filetypeToIcon.grid.name],
+      readOnly: true,
+      commands: app.commands
+    })
+  );
+  const plotTypes = [filetypeToIcon.plot.name, filetypeToIcon.figure.name];
+  registry.addWidgetFactory(
+    new PlotViewerFactory({
+      name: PLOT_VIEWER_FACTORY,
+      label: trans.__('Figlinq Plot Viewer'),
+      fileTypes: plotTypes,
+      defaultFor: plotTypes,
+      readOnly: true,
+      browsers
+    })
+  );
+}
+
+/**
+ * Get the document widgets showing files of a drive.
+ */
+function getDocumentWidgets(app: JupyterFrontEnd, driveName: string): DocumentWidget[] {
+  const docs: DocumentWidget[] = [];
+  for (const widget of app.shell.widgets('main')) {
+    if (widget instanceof DocumentWidget && widget.context.path.startsWith(`${driveName}:`)) {
+      docs.push(widget);
+    }
+  }
+  return docs;
+}
+
+/**
+ * Add the file browser of a Figlinq drive to the left sidebar.
+ *
+ * @param app - The JupyterFrontEnd application instance.
+ * @param browser - The file browser factory, whose tracker tracks the new browser.
+ * @param docManager - The document manager of the new browser model.
+ * @param translator - The application translator.
+ * @param browsers - The Figlinq file browsers, to add the new browser to.
+ * @param drive - The drive to show.
+ * @param options - The id, caption and icon of the browser, and whether it
+ *   has a button to open the trash.
+ *
+ * @returns The file browser.
+ */
+function addDriveBrowser(
+  app: JupyterFrontEnd,
+  browser: IFileBrowserFactory,
+  docManager: IDocumentManager,
+  translator: ITranslator,
+  browsers: DriveBrowsers,
+  drive: Drive,
+  options: { id: string; caption: string; icon: LabIcon; trash?: boolean }
+): FileBrowser {
+  const { serviceManager } = app;
+  const trans = translator.load('jupyterlab-remote-contents');
+  serviceManager.contents.addDrive(drive);
+
+  const widget: FileBrowser = new FileBrowser({
+    id: options.id,
+    model: new FilterFileBrowserModel({ manager: docManager, driveName: drive.name, translator }),
+    // We don't want to restore old state, we don't have a drive handle ready
+    restore: false,
+    translator,
+    // Open Figlinq files with the viewer matching their type
+    handleOpenFile: path => openFiglinqFile(app, widget, path)
+  });
+  // Track it like the browsers of the factory, commands find the browsers through its tracker
+  void browser.tracker.add(widget);
+  widget.title.caption = options.caption;
+  widget.title.icon = options.icon;
+  
+  const createNewDirectoryButton = new ToolbarButton({
+    icon: newFolderIcon,
+    onClick: async () => {
+      widget.createNewDirectory();
+    },
+    tooltip: trans.__('New Folder')
+  });
+
+  const uploader = new Uploader({ model: widget.model, translator });
+
+  const refreshButton = new ToolbarButton({
+    icon: refreshIcon,
+    onClick: async () => {
+      drive.invalidateFolder(serviceManager.contents.localPath(widget.model.path));
+      await widget.model.refresh();
+    },
+    tooltip: trans.__('Refresh File Browser')
+  });
+
+  const searcher = FilenameSearcher({
+    updateFilter: (
+      filterFn: (item: string) => Partial<IScore> | null,
+      query?: string
+    ) => {
+      widget.model.setFilter(value => {
+        return filterFn(value.name.toLowerCase());
+      });
+    },
+    useFuzzyFilter: true,
+    placeholder: trans.__('Filter files by name'),
+    forceRefresh: true
+  });
+  
+  widget.toolbar.insertItem(1, 'create-new-directory', createNewDirectoryButton);
+  widget.toolbar.insertItem(2, 'upload', uploader);
+  widget.toolbar.insertItem(3, 'refresh', refreshButton);
+  if (options.trash) {
+    const trashButton = new ToolbarButton({
+      icon: createIcon(mdiDeleteOutline),
+      onClick: async () => {
+        widget.model.cd(`/${TRASH_PATH}`);
+      },
+      tooltip: trans.__('Open Trash')
+    });
+    widget.toolbar.insertItem(4, 'trash', trashButton);
+  }
+  widget.toolbar.insertItem(options.trash ? 5 : 4, 'search', searcher);
+  browsers.add(widget, drive);
+  
+  app.shell.add(widget, 'left');
+
+  const watcher = new ChangeWatcher({
+    drive,
+    currentFolder: () => {
+      const { contents } = serviceManager;
+      if (contents.driveName(widget.model.path) !== drive.name) {
+        return null;
+      }
+      const localPath = contents.localPath(widget.model.path);
+      const isTrash = localPath === TRASH_PATH || localPath.startsWith(`${TRASH_PATH}/`);
+      return isTrash ? null : localPath;
+    },
+    openFiles: () =>
+      getDocumentWidgets(app, drive.name).map(doc => serviceManager.contents.localPath(doc.context.path))
+  });
+  watcher.openFileChanged.connect((_, { path, file }) => {
+    const docs = getDocumentWidgets(app, drive.name).filter(
+      doc => serviceManager.contents.localPath(doc.context.path) === path
+    );
+    if (!docs.length) {
+      return;
+    }
+    if (!file) {
+      Notification.warning(trans.__('"%1" was deleted in Figlinq.', path));
+      return;
+    }
+    const context = docs[0].context;
+    const message = context.model.dirty
+      ? trans.__('"%1" changed in Figlinq. Reloading discards your unsaved changes.', path)
+      : trans.__('"%1" changed in Figlinq.', path);
+    Notification.info(message, {
+      autoClose: false,
+      actions: [
+        {
+          label: trans.__('Reload'),
+          callback: () => {
+            context.revert().catch(error => console.error('Error reloading file', error));
+          }
+        }
+      ]
+    });
+  });
+
+  drive.revisionFailed.connect((_, { path, error }) => {
+    Notification.warning(
+      trans.__('"%1" was saved, but its revision could not be created: %2', path, errorMessage(error))
+    );
+  });
+
+  drive.offline?.synced.connect((_, result) => {
+    if (result.replayed) {
+      Notification.success(
+        trans._n(
+          'Synced %1 change made while offline.',
+          'Synced %1 changes made while offline.',
+          result.replayed
+        ),
+        { autoClose: 5000 }
+      );
+    }
+    for (const { operation, error } of result.dropped) {
+      Notification.warning(
+        trans.__('A change to "%1" made while offline was discarded: %2', operation.path, errorMessage(error))
+      );
+    }
+    for (const path of result.conflicts) {
+      Notification.warning(
+        trans.__('"%1" changed in Figlinq while offline, your version was saved as a copy.', path)
+      );
+    }
+    if (result.error) {
+      Notification.error(
+        trans.__('Some changes made while offline could not be synced: %1', errorMessage(result.error))
+      );
+    }
+  });
+
+  return widget;
 }
 
 /**
@@ -193,88 +549,84 @@ function registerCustomFileTypes(app: JupyterFrontEnd) {
  */
 const plugin: JupyterFrontEndPlugin<void> = {
   id: 'jupyterlab-remote-contents:plugin',
-  requires: [IFileBrowserFactory, ITranslator, ILauncher, INotebookTracker],
+  requires: [IFileBrowserFactory, IDocumentManager, ITranslator, ILauncher, INotebookTracker, IEditorServices],
+  optional: [IStatusBar, ISettingRegistry],
   autoStart: true,
-  activate: (
+  activate: async (
     app: JupyterFrontEnd,
     browser: IFileBrowserFactory,
+    docManager: IDocumentManager,
     translator: ITranslator,
     launcher: ILauncher,
     notebookTracker: INotebookTracker,
+    editorServices: IEditorServices,
+    statusBar: IStatusBar | null,
+    settingRegistry: ISettingRegistry | null,
   ) => {
     const { serviceManager, commands, docRegistry } = app;
-    const { createFileBrowser } = browser;    
 
+    // Filter the launcher right away, the items added while the settings load are filtered too
+    const launcherFilter = new LauncherFilter(launcher, REMOVE_LAUNCHER_COMMANDS);
 
-    const originalAdd = launcher.add;
-    // Override the launcher.add method to filter out unwanted commands
-    launcher.add = (options: ILauncher.IItemOptions) => {
-      if (REMOVE_LAUNCHER_COMMANDS.includes(options.command)) {
-        const noOpDisposable: IDisposable = {
-          isDisposed: false,
-          dispose: () => {
-            /* no-op */
-          }
-        };
-        return noOpDisposable; // Return a no-op disposable
+    let settings: ISettingRegistry.ISettings | null = null;
+    if (settingRegistry) {
+      try {
+        settings = await settingRegistry.load(plugin.id);
+      } catch (reason) {
+        console.error('Failed to load settings for jupyterlab-remote-contents.', reason);
       }
-      // Call the original add method for other items
-      return originalAdd.call(launcher, options);
-    };
+    }
+    const driveName = (settings?.composite.driveName as string) ?? DRIVE_NAME;
+    const teamFolders = (settings?.composite.teamFolders as { label: string; fid: string }[]) ?? TEAM_FOLDERS;
+    const offline = (settings?.composite.offline as boolean) ?? OFFLINE;
     
     const trans = translator.load('jupyterlab-remote-contents');
-    const serverSettings = ServerConnection.makeSettings();
-    const drive = new Drive({serverSettings, name: DRIVE_NAME, browser});
-
-    serviceManager.contents.addDrive(drive);
+    setErrorTranslator(translator);
+    const auth: ServerConnection.IAuth = {
+      credentials: loadCredentials(),
+      login: () => showLoginDialog(auth, serverSettings.baseUrl, trans)
+    };
+    const serverSettings = ServerConnection.makeSettings({ auth });
+    const browsers = new DriveBrowsers(browser.tracker);
 
-    const widget = createFileBrowser('jp-remote-contents-browser', {
-      driveName: drive.name,
-      // We don't want to restore old state, we don't have a drive handle ready
-      restore: false
-    });
-    widget.title.caption = trans.__('My files');
-    widget.title.icon = folderIcon;    
-    
-    const createNewDirectoryButton = new ToolbarButton({
-      icon: newFolderIcon,
-      onClick: async () => {
-        widget.createNewDirectory();
-      },
-      tooltip: trans.__('New Folder')
+    const drive = new Drive({serverSettings, name: driveName, browser, offline});
+    const widget = addDriveBrowser(app, browser, docManager, translator, browsers, drive, {
+      id: 'jp-remote-contents-browser',
+      caption: trans.__('My files'),
+      icon: folderIcon,
+      trash: true
     });
 
-    const uploader = new Uploader({ model: widget.model, translator });
-
-    const refreshButton = new ToolbarButton({
-      icon: refreshIcon,
-      onClick: async () => {
-        widget.model.refresh();
-      },
-      tooltip: trans.__('Refresh File Browser')
+    const sharedDrive = new Drive({serverSettings, name: `${driveName}-Shared`, browser, offline, root: 'shared'});
+    addDriveBrowser(app, browser, docManager, translator, browsers, sharedDrive, {
+      id: 'jp-remote-contents-shared-browser',
+      caption: trans.__('Shared with me'),
+      icon: createIcon(mdiFolderAccountOutline)
     });
 
-    const searcher = FilenameSearcher({
-      updateFilter: (
-        filterFn: (item: string) => Partial<IScore> | null,
-        query?: string
-      ) => {
-        widget.model.setFilter(value => {
-          return filterFn(value.name.toLowerCase());
-        });
-      },
-      useFuzzyFilter: true,
-      placeholder: trans.__('Filter files by name'),
-      forceRefresh: true
-    });
-    
-    widget.toolbar.insertItem(1, 'create-new-directory', createNewDirectoryButton);
-    widget.toolbar.insertItem(2, 'upload', uploader);
-    widget.toolbar.insertItem(3, 'refresh', refreshButton);
-    widget.toolbar.insertItem(4, 'search', searcher);
-    
-    addContextMenuCommands(commands, notebookTracker, app, widget);
-    registerCustomFileTypes(app);
+    const teamIcon = createIcon(mdiAccountGroupOutline);
+    for (const team of teamFolders) {
+      const teamDrive = new Drive({
+        serverSettings,
+        name: `${driveName}-${team.fid.replace(':', '-')}`,
+        browser,
+        offline,
+        root: team.fid
+      });
+      addDriveBrowser(app, browser, docManager, translator, browsers, teamDrive, {
+        id: `jp-remote-contents-team-browser-${team.fid.replace(':', '-')}`,
+        caption: team.label,
+        icon: teamIcon
+      });
+    }
+
+    addContextMenuCommands(commands, notebookTracker, app, browsers);
+    addTrashCommands(commands, app, browsers);
+    addSharingCommands(commands, app, browsers, settings);
+    addDownloadCommands(commands, app, browsers);
+    addCompareCommands(commands, app, browsers, trans);
+    addPropertiesCommands(commands, app, browsers);
+    registerCustomFileTypes(app, browsers, trans);
 
     // Override the original getFileTypeForModel method to handle custom MIME types
     const originalGetFileTypeForModel = docRegistry.getFileTypeForModel;
@@ -290,12 +642,70 @@ const plugin: JupyterFrontEndPlugin<void> = {
         return originalGetFileTypeForModel.call(this, model);
     };
 
-    app.shell.add(widget, 'left');
+    if (statusBar) {
+      statusBar.registerStatusItem('jupyterlab-remote-contents:connection-status', {
+        item: new ConnectionStatusItem(trans),
+        align: 'left',
+        rank: 5
+      });
+    }
+
+    // Open a file of My files with the viewer matching its Figlinq type
+    const openInMyFiles = (path: string, file: any) =>
+      openWithFactory(app, `${drive.name}:${path}`, FILETYPE_TO_ICON[file.filetype]?.mimeTypes[0]);
+
+    // Search across all the folders of My files
+    const searchPanel = new SearchPanel({
+      drive,
+      docRegistry,
+      open: openInMyFiles,
+      reveal: async path => {
+        await widget.model.cd(`/${path}`);
+        app.shell.activateById(widget.id);
+      },
+      trans
+    });
+    searchPanel.id = 'jp-figlinq-search';
+    app.shell.add(searchPanel, 'left', { rank: 110 });
+
+    // Revision history of the active notebook
+    const historyPanel = new HistoryPanel({
+      app,
+      browsers,
+      tracker: notebookTracker,
+      editorServices,
+      trans
+    });
+    historyPanel.id = 'jp-figlinq-history';
+    app.shell.add(historyPanel, 'right', { rank: 800 });
     
-    loadFileFromUrlParams(commands, widget);
-    disableDefaultFileBrowser(app);
-    // Override the original rename command with our custom version to avoid drive check
+    // Apply the settings which do not need a reload, now and on change
+    const applySettings = () => {
+      for (const { drive } of browsers.items) {
+        drive.apiEndpoint = (settings?.composite.serviceDriveUrl as string) ?? SERVICE_DRIVE_URL;
+        drive.pageSize = (settings?.composite.pageSize as number) ?? DEFAULT_PAGE_SIZE;
+        drive.defaultWorldReadable = (settings?.composite.defaultWorldReadable as boolean) ?? false;
+      }
+      launcherFilter.commands = (settings?.composite.removeLauncherCommands as string[]) ?? REMOVE_LAUNCHER_COMMANDS;
+    };
+    applySettings();
+    settings?.changed.connect(applySettings);
+
+    // Open the deep link of the host page, and keep it in sync
+    const deepLinks = new DeepLinks({
+      app,
+      browsers,
+      drive,
+      widget,
+      open: openInMyFiles
+    });
+    void deepLinks.apply();
+    if ((settings?.composite.disableDefaultFileBrowser as boolean) ?? DISABLE_DEFAULT_FILE_BROWSER) {
+      disableDefaultFileBrowser(app);
+    }
+    // Move and copy across the Figlinq drives
     (serviceManager.contents as any).rename = customRename.bind(serviceManager.contents);
+    (serviceManager.contents as any).copy = customCopy.bind(serviceManager.contents);
   }
 };
 
@@ -0,0 +1,86 @@
+import { ILauncher } from '@jupyterlab/launcher';
+import { IDisposable } from '@lumino/disposable';
+
+/**
+ * A filter hiding launcher items by command.
+ *
+ * #### Notes
+ * The filter replaces `launcher.add`, so it only applies to the items added
+ * after it is created. Hidden items are kept, so that they show again when
+ * their command is removed from the filter.
+ */
+export class LauncherFilter {
+  /**
+   * Construct a new launcher filter.
+   *
+   * @param launcher - The launcher to filter.
+   *
+   * @param commands - The commands of the items to hide.
+   */
+  constructor(launcher: ILauncher, commands: string[]) {
+    this._commands = commands;
+    this._add = launcher.add.bind(launcher);
+    launcher.add = (options: ILauncher.IItemOptions) => this._addItem(options);
+  }
+
+  /**
+   * The commands of the items to hide.
+   */
+  get commands(): string[] {
+    return this._commands;
+  }
+  set commands(commands: string[]) {
+    this._commands = commands;
+    for (const item of this._items) {
+      const hidden = commands.includes(item.options.command);
+      if (hidden && item.added) {
+        item.added.dispose();
+        item.added = null;
+      } else if (!hidden && !item.added) {
+        item.added = this._add(item.options);
+      }
+    }
+  }
+
+  /**
+   * Add a launcher item, unless its command is hidden.
+   */
+  private _addItem(options: ILauncher.IItemOptions): IDisposable {
+    const item: Private.IItem = {
+      options,
+      added: this._commands.includes(options.command) ? null : this._add(options)
+    };
+    this._items.push(item);
+    let isDisposed = false;
+    return {
+      get isDisposed() {
+        return isDisposed;
+      },
+      dispose: () => {
+        if (isDisposed) {
+          return;
+        }
+        isDisposed = true;
+        item.added?.dispose();
+        this._items.splice(this._items.indexOf(item), 1);
+      }
+    };
+  }
+
+  private _commands: string[];
+  private _add: (options: ILauncher.IItemOptions) => IDisposable;
+  private _items: Private.IItem[] = [];
+}
+
+/**
+ * A namespace for module private data.
+ */
+namespace Private {
+  /**
+   * A launcher item and its disposable while it is shown.
+   */
+  export interface IItem {
+    options: ILauncher.IItemOptions;
+    added: IDisposable | null;
+  }
+}
@@ -0,0 +1,173 @@
+import { Dialog, showDialog } from '@jupyterlab/apputils';
+import { URLExt } from '@jupyterlab/coreutils';
+import { TranslationBundle } from '@jupyterlab/translation';
+import { Widget } from '@lumino/widgets';
+import { ServerConnection } from './serverconnection';
+
+/**
+ * The class name added to the login dialog body.
+ */
+const LOGIN_CLASS = 'jp-FiglinqLogin';
+
+/**
+ * The storage key of the credentials, in the session storage by default, or
+ * in the local storage when remembered on the device.
+ */
+const CREDENTIALS_KEY = 'jupyterlab-remote-contents:credentials';
+
+/**
+ * The body of the login dialog.
+ *
+ * The user can sign in to Figlinq in another tab and retry, which uses the
+ * session cookie, or paste their username and API key. An access token can be
+ * pasted in place of the API key, leaving the username empty.
+ *
+ * The credentials are kept for the browser tab session. Remembering them on
+ * the device stores them in plain text in the local storage, where any script
+ * running on the JupyterLite origin can read them, so it is opt-in.
+ */
+export class LoginDialogBody
+  extends Widget
+  implements Dialog.IBodyWidget<ServerConnection.Credentials | null>
+{
+  /**
+   * Construct a new login dialog body.
+   *
+   * @param trans - The translation bundle of the extension.
+   * @param signInUrl - The url of the Figlinq sign in page.
+   */
+  constructor(trans: TranslationBundle, signInUrl: string) {
+    super();
+    this.addClass(LOGIN_CLASS);
+
+    const message = document.createElement('p');
+    message.textContent = trans.__(
+      'Figlinq rejected the request. Sign in to Figlinq, or paste your username and API key from your Figlinq settings.'
+    );
+
+    const signIn = document.createElement('a');
+    signIn.href = signInUrl;
+    signIn.target = '_blank';
+    signIn.rel = 'noopener';
+    signIn.textContent = trans.__('Sign in to Figlinq, then retry');
+
+    this._usernameInput = document.createElement('input');
+    this._usernameInput.className = 'jp-mod-styled';
+    this._usernameInput.placeholder = trans.__('Username (empty for an access token)');
+    this._usernameInput.autocomplete = 'username';
+
+    this._keyInput = document.createElement('input');
+    this._keyInput.className = 'jp-mod-styled';
+    this._keyInput.type = 'password';
+    this._keyInput.placeholder = trans.__('API key or access token');
+    this._keyInput.autocomplete = 'off';
+
+    const rememberLabel = document.createElement('label');
+    this._rememberInput = document.createElement('input');
+    this._rememberInput.type = 'checkbox';
+    rememberLabel.append(this._rememberInput, ` ${trans.__('Remember on this device')}`);
+
+    const warning = document.createElement('p');
+    warning.className = `${LOGIN_CLASS}-warning`;
+    warning.textContent = trans.__(
+      'Otherwise the key is forgotten when this tab is closed. Remembered keys are stored unencrypted in this browser, where any script of this site can read them. Only remember them on a device you trust.'
+    );
+
+    this.node.append(message, signIn, this._usernameInput, this._keyInput, rememberLabel, warning);
+  }
+
+  /**
+   * Whether to remember the credentials on this device.
+   */
+  get remember(): boolean {
+    return this._rememberInput.checked;
+  }
+
+  /**
+   * Get the credentials entered, or `null` to use the session cookie.
+   */
+  getValue(): ServerConnection.Credentials | null {
+    const username = this._usernameInput.value.trim();
+    const key = this._keyInput.value.trim();
+    if (!key) {
+      return null;
+    }
+    return username
+      ? { type: 'apiKey', username, apiKey: key }
+      : { type: 'token', token: key };
+  }
+
+  private _usernameInput: HTMLInputElement;
+  private _keyInput: HTMLInputElement;
+  private _rememberInput: HTMLInputElement;
+}
+
+/**
+ * Get the credentials of this tab session, or the ones remembered on this
+ * device, if any.
+ */
+export function loadCredentials(): ServerConnection.Credentials | null {
+  try {
+    const stored =
+      window.sessionStorage.getItem(CREDENTIALS_KEY) ?? window.localStorage.getItem(CREDENTIALS_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('Could not read the remembered credentials', error);
+    return null;
+  }
+}
+
+/**
+ * Show the login dialog after a request was rejected for authentication.
+ *
+ * @param auth - The authentication to set the credentials of.
+ * @param baseUrl - The base url of the Figlinq server.
+ * @param trans - The translation bundle of the extension.
+ *
+ * @returns A promise which resolves with whether to send the request again.
+ */
+export async function showLoginDialog(
+  auth: ServerConnection.IAuth,
+  baseUrl: string,
+  trans: TranslationBundle
+): Promise<boolean> {
+  const body = new LoginDialogBody(trans, URLExt.join(baseUrl, 'login'));
+  const result = await showDialog({
+    title: trans.__('Sign in to Figlinq'),
+    body,
+    buttons: [Dialog.cancelButton(), Dialog.okButton({ label: trans.__('Retry') })],
+    focusNodeSelector: 'input'
+  });
+  if (!result.button.accept) {
+    return false;
+  }
+  if (result.value) {
+    auth.credentials = result.value;
+    Private.storeCredentials(result.value, body.remember);
+  }
+  return true;
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Store credentials for the tab session, or on the device when remembered.
+   *
+   * Credentials remembered before are forgotten when new ones are not.
+   */
+  export function storeCredentials(credentials: ServerConnection.Credentials, remember: boolean): void {
+    const value = JSON.stringify(credentials);
+    try {
+      window.sessionStorage.setItem(CREDENTIALS_KEY, value);
+      if (remember) {
+        window.localStorage.setItem(CREDENTIALS_KEY, value);
+      } else {
+        window.localStorage.removeItem(CREDENTIALS_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not store the credentials', error);
+    }
+  }
+}
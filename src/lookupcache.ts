@@ -0,0 +1,142 @@
+import { Contents } from '@jupyterlab/services';
+
+/**
+ * The default time to live of a cache entry, in ms.
+ */
+export const DEFAULT_LOOKUP_TTL = 30000;
+
+/**
+ * A namespace for LookupCache statics.
+ */
+export namespace LookupCache {
+  /**
+   * The options used to initialize a `LookupCache`.
+   */
+  export interface IOptions {
+    /**
+     * The time to live of a cache entry, in ms.
+     * Entries older than this are looked up again, so that changes made outside
+     * of the drive eventually show up.
+     */
+    ttl?: number;
+  }
+}
+
+/**
+ * A cache of Figlinq file objects keyed by drive-local path.
+ *
+ * #### Notes
+ * Entries are added from `files/lookup` responses and folder listings, and are
+ * invalidated when the drive reports a change for their path or one of its
+ * ancestors.
+ */
+export class LookupCache {
+  /**
+   * Construct a new lookup cache.
+   *
+   * @param options - The options used to initialize the cache.
+   */
+  constructor(options: LookupCache.IOptions = {}) {
+    this.ttl = options.ttl ?? DEFAULT_LOOKUP_TTL;
+  }
+
+  /**
+   * The time to live of a cache entry, in ms.
+   */
+  ttl: number;
+
+  /**
+   * Get the cached file object for a path, if it is still fresh.
+   */
+  get(path: string): any | undefined {
+    const key = Private.normalize(path);
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (Date.now() - entry.time > this.ttl) {
+      this._entries.delete(key);
+      return undefined;
+    }
+    return { ...entry.file };
+  }
+
+  /**
+   * Cache the file object for a path.
+   */
+  set(path: string, file: any): void {
+    this._entries.set(Private.normalize(path), {
+      file: { ...file },
+      time: Date.now()
+    });
+  }
+
+  /**
+   * Cache the items of a folder listing.
+   *
+   * @param folderPath - The path of the listed folder.
+   *
+   * @param items - The Figlinq file objects of the folder children.
+   */
+  fill(folderPath: string, items: any[]): void {
+    const prefix = Private.normalize(folderPath);
+    for (const item of items) {
+      if (item?.fid && item?.filename) {
+        this.set(prefix ? `${prefix}/${item.filename}` : item.filename, item);
+      }
+    }
+  }
+
+  /**
+   * Remove a path and everything below it from the cache.
+   */
+  invalidate(path: string): void {
+    const key = Private.normalize(path);
+    for (const cached of Array.from(this._entries.keys())) {
+      if (cached === key || cached.startsWith(`${key}/`)) {
+        this._entries.delete(cached);
+      }
+    }
+  }
+
+  /**
+   * Invalidate the paths affected by a drive file change.
+   */
+  handleFileChanged(change: Contents.IChangedArgs): void {
+    const paths = [change.oldValue?.path, change.newValue?.path];
+    for (const path of paths) {
+      if (typeof path === 'string') {
+        this.invalidate(path);
+      }
+    }
+  }
+
+  /**
+   * Remove all entries from the cache.
+   */
+  clear(): void {
+    this._entries.clear();
+  }
+
+  private _entries = new Map<string, Private.IEntry>();
+}
+
+/**
+ * A namespace for module private data.
+ */
+namespace Private {
+  /**
+   * A cached file object and the time it was cached at.
+   */
+  export interface IEntry {
+    file: any;
+    time: number;
+  }
+
+  /**
+   * Normalize a drive-local path to be used as a cache key.
+   */
+  export function normalize(path: string): string {
+    return path.replace(/^\/+|\/+$/g, '');
+  }
+}
@@ -0,0 +1,453 @@
+import { JupyterFrontEnd } from '@jupyterlab/application';
+import { MainAreaWidget } from '@jupyterlab/apputils';
+import { TranslationBundle } from '@jupyterlab/translation';
+import { mdiFileCompare } from '@mdi/js';
+import { Widget } from '@lumino/widgets';
+import { createIcon } from './icons';
+
+/**
+ * The class name added to the notebook diff widget.
+ */
+const DIFF_CLASS = 'jp-FiglinqDiff';
+
+/**
+ * A namespace for notebook diff statics.
+ */
+export namespace NotebookDiff {
+  /**
+   * The change of a cell or a line between two versions.
+   */
+  export type ChangeType = 'unchanged' | 'added' | 'removed' | 'modified';
+
+  /**
+   * The change of a source line.
+   */
+  export interface ILineDiff {
+    /**
+     * The change of the line, lines are never modified.
+     */
+    type: Exclude<ChangeType, 'modified'>;
+
+    /**
+     * The text of the line.
+     */
+    text: string;
+  }
+
+  /**
+   * The change of a cell.
+   */
+  export interface ICellDiff {
+    /**
+     * The change of the cell.
+     */
+    type: ChangeType;
+
+    /**
+     * The cell in the old notebook, `null` for an added cell.
+     */
+    oldCell: any | null;
+
+    /**
+     * The cell in the new notebook, `null` for a removed cell.
+     */
+    newCell: any | null;
+
+    /**
+     * The changes of the source lines.
+     */
+    source: ILineDiff[];
+
+    /**
+     * Whether the outputs of the cell changed.
+     */
+    outputsChanged: boolean;
+  }
+
+  /**
+   * The options used to initialize a `NotebookDiffWidget`.
+   */
+  export interface IOptions {
+    /**
+     * The old notebook JSON.
+     */
+    oldContent: any;
+
+    /**
+     * The new notebook JSON.
+     */
+    newContent: any;
+
+    /**
+     * The label of the old notebook, e.g. a revision date.
+     */
+    oldLabel: string;
+
+    /**
+     * The label of the new notebook.
+     */
+    newLabel: string;
+
+    /**
+     * The translation bundle of the extension.
+     */
+    trans: TranslationBundle;
+  }
+}
+
+/**
+ * Diff two notebooks cell by cell.
+ *
+ * @param oldContent - The old notebook JSON.
+ * @param newContent - The new notebook JSON.
+ *
+ * @returns The changes of the cells, in the order of the new notebook, with
+ *   removed cells where they were in the old one.
+ *
+ * #### Notes
+ * Cells are matched by id when both notebooks have cell ids (nbformat 4.5),
+ * otherwise by type and source. Unmatched cells of the same type in the same
+ * place are paired as modified, the others are added or removed.
+ */
+export function diffNotebooks(oldContent: any, newContent: any): NotebookDiff.ICellDiff[] {
+  const oldCells: any[] = oldContent?.cells ?? [];
+  const newCells: any[] = newContent?.cells ?? [];
+  const useIds = [...oldCells, ...newCells].every(cell => !!cell.id);
+  const key = (cell: any) => (useIds ? cell.id : `${cell.cell_type}\n${Private.source(cell)}`);
+
+  const diffs: NotebookDiff.ICellDiff[] = [];
+  let removed: any[] = [];
+  let added: any[] = [];
+  const flush = () => {
+    const paired = Math.min(removed.length, added.length);
+    for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+      if (i < paired && removed[i].cell_type === added[i].cell_type) {
+        diffs.push(Private.diffCell(removed[i], added[i]));
+        continue;
+      }
+      if (i < removed.length) {
+        diffs.push(Private.diffCell(removed[i], null));
+      }
+      if (i < added.length) {
+        diffs.push(Private.diffCell(null, added[i]));
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const [oldIndex, newIndex] of Private.align(oldCells, newCells, (a, b) => key(a) === key(b))) {
+    if (oldIndex !== null && newIndex !== null) {
+      flush();
+      diffs.push(Private.diffCell(oldCells[oldIndex], newCells[newIndex]));
+    } else if (oldIndex !== null) {
+      removed.push(oldCells[oldIndex]);
+    } else if (newIndex !== null) {
+      added.push(newCells[newIndex]);
+    }
+  }
+  flush();
+  return diffs;
+}
+
+/**
+ * Diff two texts line by line.
+ */
+export function diffLines(oldText: string, newText: string): NotebookDiff.ILineDiff[] {
+  const oldLines = oldText ? oldText.split('\n') : [];
+  const newLines = newText ? newText.split('\n') : [];
+  return Private.align(oldLines, newLines, (a, b) => a === b).map(([oldIndex, newIndex]) => {
+    if (oldIndex !== null && newIndex !== null) {
+      return { type: 'unchanged', text: oldLines[oldIndex] };
+    }
+    return oldIndex !== null
+      ? { type: 'removed', text: oldLines[oldIndex] }
+      : { type: 'added', text: newLines[newIndex!] };
+  });
+}
+
+/**
+ * A side-by-side view of the changes between two notebooks.
+ *
+ * #### Notes
+ * Sources are compared line by line. Outputs are compared as a whole and
+ * summarized as text, rich outputs are only named by their mimetype.
+ */
+export class NotebookDiffWidget extends Widget {
+  /**
+   * Construct a new notebook diff widget.
+   *
+   * @param options - The options used to initialize the widget.
+   */
+  constructor(options: NotebookDiff.IOptions) {
+    super();
+    this.addClass(DIFF_CLASS);
+    this._trans = options.trans;
+    const diffs = diffNotebooks(options.oldContent, options.newContent);
+
+    const header = document.createElement('div');
+    header.className = `${DIFF_CLASS}-header`;
+    const count = (type: NotebookDiff.ChangeType) => diffs.filter(diff => diff.type === type).length;
+    const summary = document.createElement('span');
+    summary.textContent = this._trans.__(
+      '%1 added, %2 removed, %3 modified cells',
+      count('added'),
+      count('removed'),
+      count('modified')
+    );
+    const unchangedLabel = document.createElement('label');
+    const unchangedInput = document.createElement('input');
+    unchangedInput.type = 'checkbox';
+    unchangedInput.onchange = () => {
+      this.toggleClass(`${DIFF_CLASS}-mod-showUnchanged`, unchangedInput.checked);
+    };
+    unchangedLabel.append(unchangedInput, ` ${this._trans.__('Show unchanged cells')}`);
+    header.append(summary, unchangedLabel);
+
+    const labels = document.createElement('div');
+    labels.className = `${DIFF_CLASS}-row ${DIFF_CLASS}-labels`;
+    for (const label of [options.oldLabel, options.newLabel]) {
+      const side = document.createElement('div');
+      side.className = `${DIFF_CLASS}-side`;
+      side.textContent = label;
+      labels.appendChild(side);
+    }
+
+    this.node.append(header, labels, ...diffs.map(diff => this._renderCell(diff)));
+  }
+
+  /**
+   * Render the change of a cell as a row of two sides.
+   */
+  private _renderCell(diff: NotebookDiff.ICellDiff): HTMLElement {
+    const row = document.createElement('div');
+    row.className = `${DIFF_CLASS}-row ${DIFF_CLASS}-cell`;
+    row.dataset.change = diff.type;
+
+    const oldSide = document.createElement('div');
+    oldSide.className = `${DIFF_CLASS}-side`;
+    const newSide = document.createElement('div');
+    newSide.className = `${DIFF_CLASS}-side`;
+
+    // Pair removed and added lines side by side, padding the shorter run
+    let removed: string[] = [];
+    let added: string[] = [];
+    const oldLines = document.createElement('pre');
+    const newLines = document.createElement('pre');
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        oldLines.appendChild(Private.renderLine(removed[i], 'removed'));
+        newLines.appendChild(Private.renderLine(added[i], 'added'));
+      }
+      removed = [];
+      added = [];
+    };
+    for (const line of diff.source) {
+      if (line.type === 'removed') {
+        removed.push(line.text);
+      } else if (line.type === 'added') {
+        added.push(line.text);
+      } else {
+        flush();
+        oldLines.appendChild(Private.renderLine(line.text, 'unchanged'));
+        newLines.appendChild(Private.renderLine(line.text, 'unchanged'));
+      }
+    }
+    flush();
+
+    for (const [side, cell, lines] of [
+      [oldSide, diff.oldCell, oldLines],
+      [newSide, diff.newCell, newLines]
+    ] as [HTMLElement, any, HTMLElement][]) {
+      if (!cell) {
+        side.classList.add(`${DIFF_CLASS}-empty`);
+        continue;
+      }
+      const type = document.createElement('div');
+      type.className = `${DIFF_CLASS}-type`;
+      type.textContent = cell.cell_type;
+      side.append(type, lines);
+      if (cell.cell_type === 'code') {
+        side.appendChild(this._renderOutputs(cell, diff.outputsChanged));
+      }
+    }
+
+    row.append(oldSide, newSide);
+    return row;
+  }
+
+  /**
+   * Render a text summary of the outputs of a code cell.
+   */
+  private _renderOutputs(cell: any, changed: boolean): HTMLElement {
+    const outputs = document.createElement('div');
+    outputs.className = `${DIFF_CLASS}-outputs`;
+    outputs.classList.toggle(`${DIFF_CLASS}-mod-changed`, changed);
+    if (changed) {
+      const label = document.createElement('div');
+      label.className = `${DIFF_CLASS}-type`;
+      label.textContent = this._trans.__('Outputs changed');
+      outputs.appendChild(label);
+    }
+    for (const output of cell.outputs ?? []) {
+      const text = document.createElement('pre');
+      text.textContent = Private.outputText(output);
+      outputs.appendChild(text);
+    }
+    return outputs;
+  }
+
+  private _trans: TranslationBundle;
+}
+
+/**
+ * Open a notebook diff in the main area.
+ *
+ * @param app - The application.
+ * @param title - The title of the diff tab.
+ * @param options - The options used to initialize the diff widget.
+ *
+ * @returns The main area widget holding the diff.
+ */
+export function openNotebookDiff(
+  app: JupyterFrontEnd,
+  title: string,
+  options: NotebookDiff.IOptions
+): MainAreaWidget<NotebookDiffWidget> {
+  const widget = new MainAreaWidget({ content: new NotebookDiffWidget(options) });
+  widget.id = `jp-figlinq-diff-${++Private.diffCount}`;
+  widget.title.label = title;
+  widget.title.icon = createIcon(mdiFileCompare);
+  widget.title.closable = true;
+  app.shell.add(widget, 'main');
+  app.shell.activateById(widget.id);
+  return widget;
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * The number of diffs opened, to give them unique ids.
+   */
+  export let diffCount = 0;
+
+  /**
+   * Get the source of a cell as a string.
+   */
+  export function source(cell: any): string {
+    return Array.isArray(cell.source) ? cell.source.join('') : cell.source ?? '';
+  }
+
+  /**
+   * Get a text summary of an output.
+   */
+  export function outputText(output: any): string {
+    const join = (text: any) => (Array.isArray(text) ? text.join('') : String(text ?? ''));
+    switch (output.output_type) {
+      case 'stream':
+        return join(output.text);
+      case 'error':
+        return `${output.ename}: ${output.evalue}`;
+      default: {
+        const data = output.data ?? {};
+        return 'text/plain' in data
+          ? join(data['text/plain'])
+          : Object.keys(data).map(mimetype => `[${mimetype}]`).join(' ');
+      }
+    }
+  }
+
+  /**
+   * Diff a pair of cells, either of which may be missing.
+   */
+  export function diffCell(oldCell: any | null, newCell: any | null): NotebookDiff.ICellDiff {
+    const oldOutputs = JSON.stringify(oldCell?.outputs ?? []);
+    const newOutputs = JSON.stringify(newCell?.outputs ?? []);
+    const outputsChanged = !!oldCell && !!newCell && oldOutputs !== newOutputs;
+    const lines = diffLines(oldCell ? source(oldCell) : '', newCell ? source(newCell) : '');
+    let type: NotebookDiff.ChangeType = 'modified';
+    if (!oldCell) {
+      type = 'added';
+    } else if (!newCell) {
+      type = 'removed';
+    } else if (!outputsChanged && lines.every(line => line.type === 'unchanged')) {
+      type = 'unchanged';
+    }
+    return { type, oldCell, newCell, source: lines, outputsChanged };
+  }
+
+  /**
+   * Align two sequences on their longest common subsequence.
+   *
+   * @returns Pairs of indices in the old and new sequences, `null` on the side
+   *   missing an item. Removed items come before the added ones they replace.
+   */
+  export function align<T>(
+    a: T[],
+    b: T[],
+    equal: (x: T, y: T) => boolean
+  ): [number | null, number | null][] {
+    // Common prefix and suffix are aligned without filling the table
+    let start = 0;
+    while (start < a.length && start < b.length && equal(a[start], b[start])) {
+      start++;
+    }
+    let end = 0;
+    while (
+      end < a.length - start &&
+      end < b.length - start &&
+      equal(a[a.length - 1 - end], b[b.length - 1 - end])
+    ) {
+      end++;
+    }
+    const n = a.length - start - end;
+    const m = b.length - start - end;
+
+    // table[i * (m + 1) + j] is the length of the LCS of a[i:] and b[j:]
+    const table = new Uint32Array((n + 1) * (m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        table[i * (m + 1) + j] = equal(a[start + i], b[start + j])
+          ? table[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(table[(i + 1) * (m + 1) + j], table[i * (m + 1) + j + 1]);
+      }
+    }
+
+    const pairs: [number | null, number | null][] = [];
+    for (let k = 0; k < start; k++) {
+      pairs.push([k, k]);
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && equal(a[start + i], b[start + j])) {
+        pairs.push([start + i++, start + j++]);
+      } else if (i < n && (j === m || table[(i + 1) * (m + 1) + j] >= table[i * (m + 1) + j + 1])) {
+        pairs.push([start + i++, null]);
+      } else {
+        pairs.push([null, start + j++]);
+      }
+    }
+    for (let k = 0; k < end; k++) {
+      pairs.push([start + n + k, start + m + k]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Render a source line, or an empty line to pad a side.
+   */
+  export function renderLine(
+    text: string | undefined,
+    type: NotebookDiff.ILineDiff['type']
+  ): HTMLElement {
+    const line = document.createElement('div');
+    line.className = `${DIFF_CLASS}-line`;
+    line.dataset.change = text === undefined ? 'empty' : type;
+    // Keep empty lines one line high
+    line.textContent = text || ' ';
+    return line;
+  }
+}
@@ -0,0 +1,346 @@
+import { Contents } from '@jupyterlab/services';
+import { IDisposable } from '@lumino/disposable';
+import { ISignal, Signal } from '@lumino/signaling';
+import { ServerConnection } from './serverconnection';
+
+/**
+ * The interval between two connection probes while offline, in ms.
+ */
+const PROBE_INTERVAL = 15000;
+
+/**
+ * The IndexedDB object store holding the cached contents models.
+ */
+const MODELS_STORE = 'models';
+
+/**
+ * The IndexedDB object store holding the queued operations.
+ */
+const QUEUE_STORE = 'queue';
+
+/**
+ * A namespace for OfflineStore statics.
+ */
+export namespace OfflineStore {
+  /**
+   * A file operation made while offline, to be replayed on reconnect.
+   */
+  export type Operation =
+    | {
+        type: 'save';
+        path: string;
+        content: any;
+        /**
+         * The `date_modified` of the file when it was opened, for conflict checks.
+         */
+        version?: string;
+      }
+    | { type: 'rename'; path: string; newPath: string }
+    | { type: 'delete'; path: string };
+
+  /**
+   * A queued operation and its position in the queue.
+   */
+  export type IQueuedOperation = Operation & { id: number };
+
+  /**
+   * The outcome of replaying the queued operations.
+   */
+  export interface ISyncResult {
+    /**
+     * The number of operations replayed.
+     */
+    replayed: number;
+
+    /**
+     * The paths of the files saved as copies because they changed on the server.
+     */
+    conflicts: string[];
+
+    /**
+     * The operations which failed for good, e.g. the rename of a file deleted
+     * meanwhile, with their errors. They are dropped from the queue.
+     */
+    dropped: { operation: Operation; error: Error }[];
+
+    /**
+     * The error which stopped the replay, if any.
+     */
+    error?: Error;
+  }
+
+  /**
+   * The options used to initialize an `OfflineStore`.
+   */
+  export interface IOptions {
+    /**
+     * The name of the IndexedDB database.
+     */
+    name: string;
+
+    /**
+     * Check whether the server can be reached, rejecting when it cannot.
+     */
+    probe: () => Promise<void>;
+
+    /**
+     * Replay a queued operation against the server.
+     *
+     * @returns Whether the operation conflicted with a change on the server.
+     */
+    replay: (operation: Operation) => Promise<boolean>;
+  }
+}
+
+/**
+ * An IndexedDB mirror of the drive, used while the server cannot be reached.
+ *
+ * #### Notes
+ * Opened notebooks and folder listings are cached, and file operations made
+ * while offline are queued. When the connection comes back, the queued
+ * operations are replayed in order.
+ */
+export class OfflineStore implements IDisposable {
+  /**
+   * Construct a new offline store.
+   *
+   * @param options - The options used to initialize the store.
+   */
+  constructor(options: OfflineStore.IOptions) {
+    this._name = options.name;
+    this._probe = options.probe;
+    this._replay = options.replay;
+    ServerConnection.connectionStatus.connect(this._onStatusChanged, this);
+    window.addEventListener('online', this._onOnline);
+  }
+
+  /**
+   * Whether the store is available in this browser.
+   */
+  static get isAvailable(): boolean {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * A signal emitted after the queued operations have been replayed.
+   */
+  get synced(): ISignal<this, OfflineStore.ISyncResult> {
+    return this._synced;
+  }
+
+  /**
+   * Whether the server is currently unreachable.
+   */
+  get isOffline(): boolean {
+    return ServerConnection.getConnectionStatus() === 'offline';
+  }
+
+  /**
+   * Test whether the store has been disposed.
+   */
+  get isDisposed(): boolean {
+    return this._isDisposed;
+  }
+
+  /**
+   * Dispose of the resources held by the store.
+   */
+  dispose(): void {
+    if (this._isDisposed) {
+      return;
+    }
+    this._isDisposed = true;
+    this._stopProbing();
+    ServerConnection.connectionStatus.disconnect(this._onStatusChanged, this);
+    window.removeEventListener('online', this._onOnline);
+    void this._db?.then(db => db.close());
+    Signal.clearData(this);
+  }
+
+  /**
+   * Get the cached contents model of a path.
+   */
+  async getModel(path: string): Promise<Contents.IModel | undefined> {
+    return this._request<Contents.IModel | undefined>(MODELS_STORE, 'readonly', store =>
+      store.get(path)
+    );
+  }
+
+  /**
+   * Cache a contents model.
+   */
+  async putModel(model: Contents.IModel): Promise<void> {
+    await this._request(MODELS_STORE, 'readwrite', store => store.put(model));
+  }
+
+  /**
+   * Remove the cached contents model of a path.
+   */
+  async deleteModel(path: string): Promise<void> {
+    await this._request(MODELS_STORE, 'readwrite', store => store.delete(path));
+  }
+
+  /**
+   * Queue an operation to replay on reconnect.
+   */
+  async enqueue(operation: OfflineStore.Operation): Promise<void> {
+    await this._request(QUEUE_STORE, 'readwrite', store => store.add(operation));
+    this._startProbing();
+  }
+
+  /**
+   * Get the queued operations, oldest first.
+   */
+  async pending(): Promise<OfflineStore.IQueuedOperation[]> {
+    return this._request<OfflineStore.IQueuedOperation[]>(QUEUE_STORE, 'readonly', store =>
+      store.getAll()
+    );
+  }
+
+  /**
+   * Replay the queued operations in order.
+   *
+   * #### Notes
+   * Replay stops at the first operation failing because the server cannot be
+   * reached, failed with a `5xx` or asked to try again later, leaving it and
+   * the following operations in the queue. Operations failing otherwise, e.g.
+   * rejected with a `404`, `403` or `409`, are dropped, as replaying them
+   * again would fail the same way and block the following ones.
+   */
+  async sync(): Promise<void> {
+    if (this._syncing) {
+      return this._syncing;
+    }
+    this._syncing = this._sync().finally(() => {
+      this._syncing = null;
+    });
+    return this._syncing;
+  }
+
+  private async _sync(): Promise<void> {
+    const result: OfflineStore.ISyncResult = { replayed: 0, conflicts: [], dropped: [] };
+    for (const queued of await this.pending()) {
+      const { id, ...rest } = queued;
+      const operation = rest as OfflineStore.Operation;
+      try {
+        if (await this._replay(operation)) {
+          result.conflicts.push(operation.path);
+        }
+        result.replayed++;
+      } catch (error) {
+        if (Private.isTransient(error)) {
+          result.error = error as Error;
+          break;
+        }
+        result.dropped.push({ operation, error: error as Error });
+      }
+      await this._request(QUEUE_STORE, 'readwrite', store => store.delete(id));
+    }
+    if (result.replayed || result.dropped.length || result.error) {
+      this._synced.emit(result);
+    }
+  }
+
+  /**
+   * Probe the server while offline, replay the queue once it is back.
+   */
+  private _onStatusChanged(
+    _: unknown,
+    status: ServerConnection.ConnectionStatus
+  ): void {
+    if (status === 'offline') {
+      this._startProbing();
+    } else if (status === 'connected') {
+      this._stopProbing();
+      void this.sync();
+    }
+  }
+
+  private _onOnline = (): void => {
+    void this._probe().catch(() => undefined);
+  };
+
+  private _startProbing(): void {
+    if (this._probeTimer === null && !this._isDisposed) {
+      this._probeTimer = window.setInterval(() => {
+        void this._probe().catch(() => undefined);
+      }, PROBE_INTERVAL);
+    }
+  }
+
+  private _stopProbing(): void {
+    if (this._probeTimer !== null) {
+      window.clearInterval(this._probeTimer);
+      this._probeTimer = null;
+    }
+  }
+
+  /**
+   * Run a request against an object store, resolving with its result.
+   */
+  private async _request<T>(
+    storeName: string,
+    mode: IDBTransactionMode,
+    makeRequest: (store: IDBObjectStore) => IDBRequest
+  ): Promise<T> {
+    const db = await this._open();
+    return new Promise<T>((resolve, reject) => {
+      const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open the database, creating the object stores on first use.
+   */
+  private _open(): Promise<IDBDatabase> {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this._name, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(MODELS_STORE, { keyPath: 'path' });
+          request.result.createObjectStore(QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  private _name: string;
+  private _probe: () => Promise<void>;
+  private _replay: (operation: OfflineStore.Operation) => Promise<boolean>;
+  private _db: Promise<IDBDatabase> | null = null;
+  private _probeTimer: number | null = null;
+  private _syncing: Promise<void> | null = null;
+  private _isDisposed = false;
+  private _synced = new Signal<this, OfflineStore.ISyncResult>(this);
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * The client error statuses which may succeed later: not logged in, timed
+   * out and rate limited.
+   */
+  const TRANSIENT_STATUSES = [401, 408, 429];
+
+  /**
+   * Whether an operation failed for a reason which may go away, so that it
+   * should be replayed again later.
+   */
+  export function isTransient(error: unknown): boolean {
+    if (error instanceof ServerConnection.NetworkError) {
+      return true;
+    }
+    if (!(error instanceof ServerConnection.ResponseError)) {
+      return false;
+    }
+    const { status } = error.response;
+    return status >= 500 || TRANSIENT_STATUSES.includes(status);
+  }
+}
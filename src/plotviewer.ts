@@ -0,0 +1,255 @@
+import { ToolbarButton } from '@jupyterlab/apputils';
+import {
+  ABCWidgetFactory,
+  DocumentRegistry,
+  DocumentWidget,
+  IDocumentWidget
+} from '@jupyterlab/docregistry';
+import { downloadIcon, launchIcon } from '@jupyterlab/ui-components';
+import { Message } from '@lumino/messaging';
+import { Widget } from '@lumino/widgets';
+import { DriveBrowsers } from './browsers';
+import { errorMessage, notifyError } from './errors';
+
+/**
+ * The class name added to the plot viewer.
+ */
+const PLOT_VIEWER_CLASS = 'jp-FiglinqPlotViewer';
+
+/**
+ * The name of the plot viewer widget factory.
+ */
+export const PLOT_VIEWER_FACTORY = 'Figlinq Plot';
+
+/**
+ * The image formats plots can be exported to.
+ */
+export type ImageFormat = 'png' | 'svg';
+
+/**
+ * An interactive viewer of Figlinq plots and figures.
+ *
+ * #### Notes
+ * The figure JSON comes from the drive and is rendered with plotly.js, which
+ * is only loaded when the first plot is opened. The plot is rendered again
+ * when the document is reloaded.
+ */
+export class PlotViewer extends Widget {
+  /**
+   * Construct a new plot viewer.
+   *
+   * @param context - The document context of the plot.
+   */
+  constructor(context: DocumentRegistry.Context) {
+    super();
+    this.addClass(PLOT_VIEWER_CLASS);
+    this._context = context;
+
+    this._plotNode = document.createElement('div');
+    this._plotNode.className = `${PLOT_VIEWER_CLASS}-plot`;
+    this._status = document.createElement('div');
+    this._status.className = `${PLOT_VIEWER_CLASS}-status`;
+    this.node.append(this._status, this._plotNode);
+
+    void context.ready.then(() => {
+      void this._render();
+      context.model.contentChanged.connect(this._render, this);
+    });
+  }
+
+  /**
+   * Download the plot as an image, at its current size.
+   *
+   * @param format - The image format.
+   */
+  async exportImage(format: ImageFormat): Promise<void> {
+    if (!this._isRendered) {
+      throw new Error('The plot is not rendered yet.');
+    }
+    const Plotly = await Private.loadPlotly();
+    await Plotly.downloadImage(this._plotNode, {
+      format,
+      filename: this._context.path.split('/').pop()!.split(':').pop()!,
+      width: this._plotNode.clientWidth || 800,
+      height: this._plotNode.clientHeight || 600
+    });
+  }
+
+  /**
+   * Dispose of the resources held by the viewer.
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+    if (this._isRendered) {
+      void Private.loadPlotly().then(Plotly => Plotly.purge(this._plotNode));
+    }
+    super.dispose();
+  }
+
+  /**
+   * Fit the plot to the new size of the viewer.
+   */
+  protected onResize(msg: Widget.ResizeMessage): void {
+    super.onResize(msg);
+    this._resize();
+  }
+
+  /**
+   * Fit the plot to the viewer, which may have been resized while hidden.
+   */
+  protected onAfterShow(msg: Message): void {
+    super.onAfterShow(msg);
+    this._resize();
+  }
+
+  /**
+   * Render the figure JSON of the document.
+   */
+  private async _render(): Promise<void> {
+    this._status.textContent = 'Loading…';
+    try {
+      const content = JSON.parse(this._context.model.toString());
+      // Figures may be wrapped in a `figure` object
+      const figure = content?.figure ?? content;
+      const Plotly = await Private.loadPlotly();
+      if (this.isDisposed) {
+        return;
+      }
+      await Plotly.react(
+        this._plotNode,
+        figure?.data ?? [],
+        { ...figure?.layout, autosize: true },
+        { displaylogo: false, responsive: true }
+      );
+      this._isRendered = true;
+      this._status.textContent = '';
+    } catch (error) {
+      this._status.textContent = `The plot cannot be shown: ${errorMessage(error)}`;
+    }
+  }
+
+  /**
+   * Fit the plot to the viewer, if it is rendered and visible.
+   */
+  private _resize(): void {
+    if (this._isRendered && this.isVisible) {
+      void Private.loadPlotly().then(Plotly => Plotly.Plots.resize(this._plotNode));
+    }
+  }
+
+  private _context: DocumentRegistry.Context;
+  private _plotNode: HTMLDivElement;
+  private _status: HTMLDivElement;
+  private _isRendered = false;
+}
+
+/**
+ * A namespace for PlotViewerFactory statics.
+ */
+export namespace PlotViewerFactory {
+  /**
+   * The options used to initialize a `PlotViewerFactory`.
+   */
+  export interface IOptions extends DocumentRegistry.IWidgetFactoryOptions<IDocumentWidget<PlotViewer>> {
+    /**
+     * The Figlinq file browsers, to find the drive of the plots.
+     */
+    browsers: DriveBrowsers;
+  }
+}
+
+/**
+ * A widget factory for Figlinq plot viewers.
+ */
+export class PlotViewerFactory extends ABCWidgetFactory<IDocumentWidget<PlotViewer>> {
+  /**
+   * Construct a new plot viewer factory.
+   *
+   * @param options - The options used to initialize the factory.
+   */
+  constructor(options: PlotViewerFactory.IOptions) {
+    super(options);
+    this._browsers = options.browsers;
+  }
+
+  /**
+   * Create a new plot viewer widget, with export and "Open in Figlinq" buttons.
+   */
+  protected createNewWidget(context: DocumentRegistry.Context): IDocumentWidget<PlotViewer> {
+    const content = new PlotViewer(context);
+    const widget = new DocumentWidget({ content, context });
+
+    for (const format of ['png', 'svg'] as ImageFormat[]) {
+      widget.toolbar.addItem(
+        `export-${format}`,
+        new ToolbarButton({
+          icon: downloadIcon,
+          label: format.toUpperCase(),
+          tooltip: `Export as ${format.toUpperCase()}`,
+          onClick: () => {
+            content.exportImage(format).catch(error => notifyError(error, 'Export error'));
+          }
+        })
+      );
+    }
+    widget.toolbar.addItem(
+      'open-in-figlinq',
+      new ToolbarButton({
+        icon: launchIcon,
+        label: 'Open in Figlinq',
+        onClick: () => void this._openInFiglinq(context.path)
+      })
+    );
+    return widget;
+  }
+
+  /**
+   * Open the Figlinq page of a plot in a new tab.
+   */
+  private async _openInFiglinq(path: string): Promise<void> {
+    const resolved = this._browsers.resolve(path);
+    if (!resolved) {
+      return;
+    }
+    // Open the tab right away, popup blockers reject tabs opened after a request
+    const tab = window.open('about:blank', '_blank');
+    try {
+      const url = await resolved.drive.getWebUrl(resolved.localPath);
+      if (tab) {
+        tab.opener = null;
+        tab.location.href = url;
+      }
+    } catch (error) {
+      tab?.close();
+      notifyError(error, 'Open error');
+    }
+  }
+
+  private _browsers: DriveBrowsers;
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * The plotly.js module, once loaded.
+   */
+  let plotly: Promise<typeof import('plotly.js-dist-min')> | null = null;
+
+  /**
+   * Load plotly.js, in a chunk of its own the first time.
+   */
+  export function loadPlotly(): Promise<typeof import('plotly.js-dist-min')> {
+    if (!plotly) {
+      plotly = import('plotly.js-dist-min').catch(reason => {
+        // Try again with the next plot
+        plotly = null;
+        throw reason;
+      });
+    }
+    return plotly;
+  }
+}
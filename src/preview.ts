@@ -0,0 +1,63 @@
+import { IEditorMimeTypeService } from '@jupyterlab/codeeditor';
+import { Notebook, NotebookModel } from '@jupyterlab/notebook';
+import { IRenderMimeRegistry } from '@jupyterlab/rendermime';
+
+/**
+ * The class name added to read-only notebook previews.
+ */
+const PREVIEW_CLASS = 'jp-FiglinqNotebookPreview';
+
+/**
+ * A namespace for notebook preview statics.
+ */
+export namespace NotebookPreview {
+  /**
+   * The options used to create a notebook preview.
+   */
+  export interface IOptions {
+    /**
+     * The rendermime registry of the outputs and markdown cells.
+     */
+    rendermime: IRenderMimeRegistry;
+
+    /**
+     * The content factory of the cells.
+     */
+    contentFactory: Notebook.IContentFactory;
+
+    /**
+     * The mimetype service of the cell editors.
+     */
+    mimeTypeService: IEditorMimeTypeService;
+  }
+}
+
+/**
+ * Create a read-only notebook showing some notebook content.
+ *
+ * @param content - The notebook JSON to show.
+ * @param options - The options used to create the notebook.
+ *
+ * #### Notes
+ * The notebook is not tracked by the notebook tracker, so the notebook
+ * commands do not apply to it, and it has no kernel. Disposing of the
+ * notebook disposes of its model.
+ */
+export function createNotebookPreview(content: any, options: NotebookPreview.IOptions): Notebook {
+  const model = new NotebookModel();
+  model.fromJSON(content);
+  model.readOnly = true;
+
+  const notebook = new Notebook({
+    rendermime: options.rendermime,
+    contentFactory: options.contentFactory,
+    mimeTypeService: options.mimeTypeService
+  });
+  notebook.addClass(PREVIEW_CLASS);
+  notebook.model = model;
+  for (const cell of notebook.widgets) {
+    cell.readOnly = true;
+  }
+  notebook.disposed.connect(() => model.dispose());
+  return notebook;
+}
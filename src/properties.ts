@@ -0,0 +1,190 @@
+import { Clipboard, Dialog, showDialog } from '@jupyterlab/apputils';
+import { Time } from '@jupyterlab/coreutils';
+import { Widget } from '@lumino/widgets';
+import { Drive } from './drive';
+import { errorMessage } from './errors';
+import { FILETYPE_TO_ICON } from './icons';
+
+/**
+ * The class name added to the properties dialog body.
+ */
+const PROPERTIES_CLASS = 'jp-FiglinqProperties';
+
+/**
+ * The body of the properties dialog.
+ *
+ * The description and tags are sent to Figlinq with the Save button, the
+ * other properties are read-only.
+ */
+export class PropertiesDialogBody extends Widget {
+  /**
+   * Construct a new properties dialog body.
+   *
+   * @param drive - The drive holding the file.
+   * @param path - The drive-local path of the file.
+   */
+  constructor(drive: Drive, path: string) {
+    super();
+    this.addClass(PROPERTIES_CLASS);
+    this._drive = drive;
+    this._path = path;
+
+    this._table = document.createElement('dl');
+    this._table.className = `${PROPERTIES_CLASS}-table`;
+
+    const descriptionLabel = document.createElement('label');
+    descriptionLabel.textContent = 'Description';
+    this._descriptionInput = document.createElement('textarea');
+    this._descriptionInput.className = 'jp-mod-styled';
+    this._descriptionInput.rows = 3;
+    descriptionLabel.appendChild(this._descriptionInput);
+
+    const tagsLabel = document.createElement('label');
+    tagsLabel.textContent = 'Tags';
+    this._tagsInput = document.createElement('input');
+    this._tagsInput.className = 'jp-mod-styled';
+    this._tagsInput.placeholder = 'Comma-separated tags';
+    tagsLabel.appendChild(this._tagsInput);
+
+    this._saveButton = document.createElement('button');
+    this._saveButton.className = 'jp-mod-styled jp-mod-accept';
+    this._saveButton.textContent = 'Save';
+    this._saveButton.disabled = true;
+    this._saveButton.onclick = () => {
+      void this._run(() =>
+        this._drive.setProperties(this._path, {
+          description: this._descriptionInput.value.trim(),
+          tags: Private.parseTags(this._tagsInput.value)
+        })
+      );
+    };
+
+    this._status = document.createElement('div');
+    this._status.className = `${PROPERTIES_CLASS}-status`;
+
+    this.node.append(this._table, descriptionLabel, tagsLabel, this._saveButton, this._status);
+    void this._run(async () => undefined);
+  }
+
+  /**
+   * Run a change, then reload the properties of the file.
+   */
+  private async _run(change: () => Promise<void>): Promise<void> {
+    this._status.textContent = 'Loading…';
+    this._saveButton.disabled = true;
+    try {
+      await change();
+      this._render(await this._drive.getProperties(this._path));
+      this._status.textContent = '';
+      this._saveButton.disabled = false;
+    } catch (error) {
+      this._status.textContent = errorMessage(error);
+      this._saveButton.disabled = !this._table.childElementCount;
+    }
+  }
+
+  /**
+   * Render the properties of the file.
+   */
+  private _render(properties: Drive.IProperties): void {
+    const { sharing } = properties;
+    let sharingText = sharing.worldReadable ? 'Anyone with the link can view' : 'Private';
+    if (sharing.collaborators.length) {
+      sharingText += `, shared with ${sharing.collaborators.join(', ')}`;
+    }
+
+    const link = document.createElement('span');
+    link.className = `${PROPERTIES_CLASS}-link`;
+    const anchor = document.createElement('a');
+    anchor.href = sharing.link;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener';
+    anchor.textContent = sharing.link;
+    link.append(anchor, Private.copyButton(sharing.link));
+
+    const fid = document.createElement('span');
+    fid.append(properties.fid, Private.copyButton(properties.fid));
+
+    const rows: [string, string | HTMLElement][] = [
+      ['Owner', properties.owner],
+      ['File ID', fid],
+      ['Type', FILETYPE_TO_ICON[properties.filetype]?.displayName ?? properties.filetype],
+      ['Created', properties.created ? Time.format(properties.created) : '—'],
+      ['Modified', properties.modified ? Time.format(properties.modified) : '—'],
+      ['Size', properties.size === null ? '—' : Private.formatSize(properties.size)],
+      ['Sharing', sharingText],
+      ['Web link', link]
+    ];
+    this._table.replaceChildren(
+      ...rows.flatMap(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.append(value);
+        return [term, description];
+      })
+    );
+    this._descriptionInput.value = properties.description;
+    this._tagsInput.value = properties.tags.join(', ');
+  }
+
+  private _drive: Drive;
+  private _path: string;
+  private _table: HTMLDListElement;
+  private _descriptionInput: HTMLTextAreaElement;
+  private _tagsInput: HTMLInputElement;
+  private _saveButton: HTMLButtonElement;
+  private _status: HTMLDivElement;
+}
+
+/**
+ * Show the properties dialog for a file.
+ *
+ * @param drive - The drive holding the file.
+ * @param path - The drive-local path of the file.
+ */
+export async function showPropertiesDialog(drive: Drive, path: string): Promise<void> {
+  const name = path.split('/').pop();
+  await showDialog({
+    title: `Properties of "${name}"`,
+    body: new PropertiesDialogBody(drive, path),
+    buttons: [Dialog.okButton({ label: 'Done' })]
+  });
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Parse comma-separated tags, dropping empty and repeated ones.
+   */
+  export function parseTags(value: string): string[] {
+    const tags = value.split(',').map(tag => tag.trim()).filter(tag => tag);
+    return Array.from(new Set(tags));
+  }
+
+  /**
+   * Format a size in bytes for display.
+   */
+  export function formatSize(size: number): string {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${unit ? size.toFixed(1) : size} ${units[unit]}`;
+  }
+
+  /**
+   * Create a button copying a text to the clipboard.
+   */
+  export function copyButton(text: string): HTMLButtonElement {
+    const button = document.createElement('button');
+    button.className = 'jp-mod-styled';
+    button.textContent = 'Copy';
+    button.onclick = () => Clipboard.copyToSystem(text);
+    return button;
+  }
+}
@@ -0,0 +1,304 @@
+import { Time } from '@jupyterlab/coreutils';
+import { DocumentRegistry } from '@jupyterlab/docregistry';
+import { TranslationBundle } from '@jupyterlab/translation';
+import { LabIcon, fileIcon, folderIcon, searchIcon } from '@jupyterlab/ui-components';
+import { Widget } from '@lumino/widgets';
+import { Drive } from './drive';
+import { errorMessage } from './errors';
+import { FILETYPE_TO_ICON } from './icons';
+
+/**
+ * The class name added to the search panel.
+ */
+const SEARCH_CLASS = 'jp-FiglinqSearch';
+
+/**
+ * The delay between the last keystroke and the search, in milliseconds.
+ */
+const SEARCH_DELAY = 300;
+
+/**
+ * A namespace for SearchPanel statics.
+ */
+export namespace SearchPanel {
+  /**
+   * The options used to initialize a `SearchPanel`.
+   */
+  export interface IOptions {
+    /**
+     * The drive of My files, to search in.
+     */
+    drive: Drive;
+
+    /**
+     * The document registry, to get the icons of the results.
+     */
+    docRegistry: DocumentRegistry;
+
+    /**
+     * Open a file, given its path in My files and its Figlinq file object.
+     */
+    open: (path: string, file: any) => Promise<unknown>;
+
+    /**
+     * Show a folder in the file browser of My files, given its path.
+     */
+    reveal: (path: string) => Promise<void>;
+
+    /**
+     * The translation bundle of the extension.
+     */
+    trans: TranslationBundle;
+  }
+}
+
+/**
+ * A side panel searching My files on the server.
+ *
+ * #### Notes
+ * Unlike the filter of the file browser, which only matches the loaded items
+ * of the current folder, the search covers all folders. The server matches
+ * filenames, filetypes, tags and notebook content. Clicking a file opens it,
+ * clicking a folder shows it in the file browser.
+ */
+export class SearchPanel extends Widget {
+  /**
+   * Construct a new search panel.
+   *
+   * @param options - The options used to initialize the panel.
+   */
+  constructor(options: SearchPanel.IOptions) {
+    super();
+    this._drive = options.drive;
+    this._docRegistry = options.docRegistry;
+    this._open = options.open;
+    this._reveal = options.reveal;
+    this._trans = options.trans;
+    this.addClass(SEARCH_CLASS);
+    this.title.icon = searchIcon;
+    this.title.caption = this._trans.__('Search Figlinq');
+
+    const form = document.createElement('div');
+    form.className = `${SEARCH_CLASS}-form`;
+    this._queryInput = document.createElement('input');
+    this._queryInput.className = 'jp-mod-styled';
+    this._queryInput.type = 'search';
+    this._queryInput.placeholder = this._trans.__('Search names, tags and notebooks');
+    this._queryInput.oninput = () => this._scheduleSearch();
+    this._queryInput.onkeydown = event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        void this.search();
+      }
+    };
+
+    this._filetypeSelect = document.createElement('select');
+    this._filetypeSelect.className = 'jp-mod-styled';
+    this._filetypeSelect.appendChild(new Option(this._trans.__('All types'), ''));
+    for (const [filetype, { displayName }] of Object.entries<any>(FILETYPE_TO_ICON)) {
+      this._filetypeSelect.appendChild(new Option(displayName, filetype));
+    }
+    this._filetypeSelect.onchange = () => void this.search();
+    form.append(this._queryInput, this._filetypeSelect);
+
+    this._list = document.createElement('ul');
+    this._list.className = `${SEARCH_CLASS}-results`;
+
+    this._moreButton = document.createElement('button');
+    this._moreButton.className = 'jp-mod-styled';
+    this._moreButton.textContent = this._trans.__('Load more');
+    this._moreButton.hidden = true;
+    this._moreButton.onclick = () => void this._fetchPage(this._page + 1);
+
+    this._status = document.createElement('div');
+    this._status.className = `${SEARCH_CLASS}-status`;
+
+    this.node.append(form, this._list, this._moreButton, this._status);
+  }
+
+  /**
+   * Dispose of the resources held by the panel.
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+    window.clearTimeout(this._searchTimeout);
+    super.dispose();
+  }
+
+  /**
+   * Search for the query of the panel, replacing the results.
+   */
+  async search(): Promise<void> {
+    window.clearTimeout(this._searchTimeout);
+    this._list.replaceChildren();
+    this._moreButton.hidden = true;
+    if (!this._queryInput.value.trim()) {
+      ++this._searchCount;
+      this._status.textContent = '';
+      return;
+    }
+    await this._fetchPage(1);
+  }
+
+  /**
+   * Search once the user stops typing.
+   */
+  private _scheduleSearch(): void {
+    window.clearTimeout(this._searchTimeout);
+    this._searchTimeout = window.setTimeout(() => void this.search(), SEARCH_DELAY);
+  }
+
+  /**
+   * Fetch a page of results and append them to the list.
+   */
+  private async _fetchPage(page: number): Promise<void> {
+    const search = page === 1 ? ++this._searchCount : this._searchCount;
+    this._status.textContent = this._trans.__('Searching…');
+    this._moreButton.disabled = true;
+    try {
+      const results = await this._drive.search(this._queryInput.value.trim(), {
+        filetype: this._filetypeSelect.value || undefined,
+        page
+      });
+      // A newer search started meanwhile
+      if (search !== this._searchCount) {
+        return;
+      }
+      this._page = page;
+      for (const file of results.files) {
+        this._list.appendChild(this._renderResult(file));
+      }
+      this._moreButton.hidden = !results.hasMore;
+      this._status.textContent = this._list.childElementCount
+        ? ''
+        : this._trans.__('No matching files.');
+    } catch (error) {
+      if (search === this._searchCount) {
+        this._status.textContent = errorMessage(error);
+      }
+    } finally {
+      this._moreButton.disabled = false;
+    }
+  }
+
+  /**
+   * Render a search result.
+   */
+  private _renderResult(file: any): HTMLLIElement {
+    const isFolder = file.filetype === 'fold';
+    const item = document.createElement('li');
+    item.className = `${SEARCH_CLASS}-result`;
+    item.title = file.path ?? file.filename;
+    item.tabIndex = 0;
+
+    const icon = document.createElement('span');
+    icon.className = `${SEARCH_CLASS}-icon`;
+    Private.icon(this._docRegistry, file.filetype).element({ container: icon });
+
+    const info = document.createElement('div');
+    info.className = `${SEARCH_CLASS}-info`;
+    const name = document.createElement('span');
+    name.className = `${SEARCH_CLASS}-name`;
+    name.textContent = file.filename;
+    const path = document.createElement('span');
+    path.className = `${SEARCH_CLASS}-path`;
+    path.textContent = file.path ?? '';
+    info.append(name, path);
+
+    const modified = document.createElement('span');
+    modified.className = `${SEARCH_CLASS}-modified`;
+    if (file.date_modified) {
+      modified.textContent = Time.formatHuman(file.date_modified);
+      modified.title = Time.format(file.date_modified);
+    }
+    item.append(icon, info, modified);
+
+    const activate = () => void this._activate(file);
+    item.onclick = activate;
+    item.onkeydown = event => {
+      if (event.key === 'Enter') {
+        activate();
+      }
+    };
+
+    if (!isFolder) {
+      const reveal = document.createElement('button');
+      reveal.className = 'jp-mod-styled';
+      reveal.textContent = this._trans.__('Show in folder');
+      reveal.onclick = event => {
+        event.stopPropagation();
+        void this._run(async () => {
+          const path = await this._resolvePath(file);
+          await this._reveal(path.split('/').slice(0, -1).join('/'));
+        });
+      };
+      item.appendChild(reveal);
+    }
+    return item;
+  }
+
+  /**
+   * Open a file result, or show a folder result in the file browser.
+   */
+  private async _activate(file: any): Promise<void> {
+    await this._run(async () => {
+      const path = await this._resolvePath(file);
+      return file.filetype === 'fold' ? this._reveal(path) : this._open(path, file);
+    });
+  }
+
+  /**
+   * Get the path of a result in My files, asking the server for results
+   * which came without one.
+   */
+  private async _resolvePath(file: any): Promise<string> {
+    if (!file.path) {
+      file.path = await this._drive.getPath(file.fid);
+    }
+    return file.path;
+  }
+
+  /**
+   * Run an action, showing its errors in the panel.
+   */
+  private async _run(action: () => Promise<unknown>): Promise<void> {
+    try {
+      await action();
+    } catch (error) {
+      this._status.textContent = errorMessage(error);
+    }
+  }
+
+  private _drive: Drive;
+  private _docRegistry: DocumentRegistry;
+  private _open: (path: string, file: any) => Promise<unknown>;
+  private _reveal: (path: string) => Promise<void>;
+  private _trans: TranslationBundle;
+  private _queryInput: HTMLInputElement;
+  private _filetypeSelect: HTMLSelectElement;
+  private _list: HTMLUListElement;
+  private _moreButton: HTMLButtonElement;
+  private _status: HTMLDivElement;
+  private _page = 1;
+  private _searchCount = 0;
+  private _searchTimeout = 0;
+}
+
+/**
+ * A namespace for module private functions.
+ */
+namespace Private {
+  /**
+   * Get the icon of a Figlinq filetype from the document registry.
+   */
+  export function icon(docRegistry: DocumentRegistry, filetype: string): LabIcon {
+    if (filetype === 'fold') {
+      return folderIcon;
+    }
+    const name = FILETYPE_TO_ICON[filetype]?.name;
+    const icon = name ? docRegistry.getFileType(name)?.icon : undefined;
+    return icon instanceof LabIcon ? icon : fileIcon;
+  }
+}
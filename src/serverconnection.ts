@@ -3,6 +3,7 @@
 
 import { PageConfig, URLExt } from '@jupyterlab/coreutils';
 import { PartialJSONObject } from '@lumino/coreutils';
+import { ISignal, Signal } from '@lumino/signaling';
 
 let WEBSOCKET: typeof WebSocket;
 
@@ -106,8 +107,109 @@ export namespace ServerConnection {
      * The serializer.
      */
     readonly serializer: any;
+
+    /**
+     * The retry policy for failed requests.
+     */
+    readonly retry: IRetryOptions;
+
+    /**
+     * The authentication of the requests.
+     */
+    readonly auth: IAuth;
   } 
 
+  /**
+   * The credentials sent with the requests.
+   *
+   * - `token`: a bearer token, sent as `Authorization: Bearer <token>`.
+   * - `apiKey`: a Figlinq username and API key, sent with basic authentication
+   *   as the Figlinq API clients do.
+   */
+  export type Credentials =
+    | { type: 'token'; token: string }
+    | { type: 'apiKey'; username: string; apiKey: string };
+
+  /**
+   * The authentication of the requests.
+   *
+   * #### Notes
+   * Without credentials, requests rely on the Figlinq session cookie, which is
+   * only sent when JupyterLite is served from the Figlinq origin. The object is
+   * shared by the settings made from it, so credentials set after a login apply
+   * to all of them.
+   */
+  export interface IAuth {
+    /**
+     * The credentials sent with the requests, or `null` to use the session cookie.
+     */
+    credentials: Credentials | null;
+
+    /**
+     * Let the user log in after a request was rejected with a `401`, or with a
+     * `403` when it carried no credentials.
+     *
+     * @returns A promise which resolves with whether the user logged in, in
+     *   which case the request is sent again.
+     */
+    login?: (response: Response) => Promise<boolean>;
+  }
+
+  /**
+   * The retry policy for failed requests.
+   *
+   * #### Notes
+   * Network failures are retried for idempotent requests only. Responses with
+   * one of the `statuses` are retried for idempotent requests, and for other
+   * requests only on `429` or on `503` with a `Retry-After` header, which the
+   * server did not handle. Delays double after each attempt, starting at
+   * `delay` and capped at `maxDelay`, unless the server sends a `Retry-After`
+   * header.
+   */
+  export interface IRetryOptions {
+    /**
+     * The number of retries after the first attempt. Use `0` to disable retries.
+     */
+    readonly retries: number;
+
+    /**
+     * The delay before the first retry, in ms.
+     */
+    readonly delay: number;
+
+    /**
+     * The maximum delay between two attempts, in ms.
+     */
+    readonly maxDelay: number;
+
+    /**
+     * The response statuses which are retried.
+     */
+    readonly statuses: number[];
+  }
+
+  /**
+   * The status of the connection to the server.
+   *
+   * - `connected`: the last request got a response.
+   * - `reconnecting`: a failed request is being retried.
+   * - `offline`: a request failed after all its retries.
+   */
+  export type ConnectionStatus = 'connected' | 'reconnecting' | 'offline';
+
+  /**
+   * A signal emitted when the status of the connection to the server changes.
+   */
+  export const connectionStatus: ISignal<typeof ServerConnection, ConnectionStatus> =
+    new Signal<typeof ServerConnection, ConnectionStatus>(ServerConnection);
+
+  /**
+   * Get the current status of the connection to the server.
+   */
+  export function getConnectionStatus(): ConnectionStatus {
+    return currentStatus;
+  }
+
   /**
    * Create a settings object given a subset of options.
    *
@@ -138,8 +240,12 @@ export namespace ServerConnection {
    * The headers in the two objects are not merged.
    * If there is no body data, we set the content type to `application/json`
    * because it is required by the Notebook server.
+   *
+   * Failed requests are retried following `settings.retry`, and the outcome
+   * is reported through the `connectionStatus` signal. Requests rejected for
+   * authentication are sent again once the user logged in, see `IAuth.login`.
    */
-  export function makeRequest(
+  export async function makeRequest(
     settings: ISettings,
     url: string,
     init: RequestInit,
@@ -147,7 +253,70 @@ export namespace ServerConnection {
   ): Promise<Response> {
     const queryParams: PartialJSONObject = { ...params };
     const urlWithQueryParams = url + URLExt.objectToQueryString(queryParams);
-    return Private.handleRequest(urlWithQueryParams, init, settings);
+    const hadCredentials = settings.auth.credentials !== null;
+    const response = await sendWithRetry(urlWithQueryParams, init, settings);
+    const rejected =
+      response.status === 401 || (response.status === 403 && !hadCredentials);
+    if (rejected && (await Private.login(settings.auth, response))) {
+      return sendWithRetry(urlWithQueryParams, init, settings);
+    }
+    return response;
+  }
+
+  /**
+   * Send a request, retrying it following `settings.retry`.
+   */
+  async function sendWithRetry(
+    urlWithQueryParams: string,
+    init: RequestInit,
+    settings: ISettings
+  ): Promise<Response> {
+    const { retries, statuses } = settings.retry;
+    const method = init.method ?? settings.init.method;
+    const idempotent = Private.isIdempotent(method);
+
+    for (let attempt = 0; ; attempt++) {
+      let response: Response;
+      try {
+        response = await Private.handleRequest(urlWithQueryParams, init, settings);
+      } catch (error) {
+        if (!(error instanceof NetworkError)) {
+          throw error;
+        }
+        if (!idempotent || attempt >= retries) {
+          setConnectionStatus('offline');
+          throw error;
+        }
+        setConnectionStatus('reconnecting');
+        await Private.sleep(Private.retryDelay(settings.retry, attempt));
+        continue;
+      }
+      if (!statuses.includes(response.status)) {
+        setConnectionStatus('connected');
+        return response;
+      }
+      if (attempt >= retries || !Private.canRetry(settings.retry, method, response)) {
+        setConnectionStatus('offline');
+        return response;
+      }
+      setConnectionStatus('reconnecting');
+      await Private.sleep(Private.retryDelay(settings.retry, attempt, response));
+    }
+  }
+
+  /**
+   * The current status of the connection to the server.
+   */
+  let currentStatus: ConnectionStatus = 'connected';
+
+  /**
+   * Set the status of the connection, emitting the signal if it changed.
+   */
+  function setConnectionStatus(status: ConnectionStatus): void {
+    if (status !== currentStatus) {
+      currentStatus = status;
+      (connectionStatus as Signal<typeof ServerConnection, ConnectionStatus>).emit(status);
+    }
   }
 
   /**
@@ -160,21 +329,21 @@ export namespace ServerConnection {
      *
      * @param response The response object.
      *
-     * @returns A promise that resolves with a `ResponseError` object.
+     * @returns A promise that resolves with a `ResponseError` object, or with
+     *   one of its subclasses matching the status and Figlinq error code.
      */
     static async create(response: Response): Promise<ResponseError> {
+      let error: any;
       try {
         const data = await response.json();
-        const message = data.errors?.[0]?.message;        
-        return new ResponseError(
-          response,
-          message,
-          ''
-        );
+        error = data.errors?.[0] ?? data;
       } catch (e) {
         console.debug(e);
-        return new ResponseError(response);
       }
+      const code = typeof error?.code === 'string' ? error.code : undefined;
+      const message = error?.message || error?.detail || undefined;
+      const ErrorType = Private.errorType(response.status, code);
+      return new ErrorType(response, message, '', code);
     }
 
     /**
@@ -183,11 +352,13 @@ export namespace ServerConnection {
     constructor(
       response: Response,
       message = ResponseError._defaultMessage(response),
-      traceback = ''
+      traceback = '',
+      code?: string
     ) {
       super(message);
       this.response = response;
       this.traceback = traceback;
+      this.code = code;
     }
 
     /**
@@ -200,11 +371,43 @@ export namespace ServerConnection {
      */
     traceback: string;
 
+    /**
+     * The Figlinq error code, if the server sent one.
+     */
+    code: string | undefined;
+
     private static _defaultMessage(response: Response): string {
       return `Invalid response: ${response.status} ${response.statusText}`;
     }
   }
 
+  /**
+   * An error for a file or folder which does not exist.
+   */
+  export class NotFoundError extends ResponseError {}
+
+  /**
+   * An error for a request the user is not allowed to make, or not logged in for.
+   */
+  export class PermissionDeniedError extends ResponseError {}
+
+  /**
+   * An error for a request conflicting with the state of the server, e.g. a
+   * file name already taken.
+   */
+  export class ConflictError extends ResponseError {}
+
+  /**
+   * An error for a request exceeding the storage or file size limits of the
+   * account.
+   */
+  export class QuotaExceededError extends ResponseError {}
+
+  /**
+   * An error for a request rejected as invalid.
+   */
+  export class ValidationError extends ResponseError {}
+
   /**
    * A wrapped error for a network error.
    */
@@ -223,6 +426,70 @@ export namespace ServerConnection {
  * The namespace for module private data.
  */
 namespace Private {
+  /**
+   * The default retry policy.
+   */
+  export const DEFAULT_RETRY: ServerConnection.IRetryOptions = {
+    retries: 3,
+    delay: 500,
+    maxDelay: 8000,
+    statuses: [429, 502, 503]
+  };
+
+  /**
+   * The error types of the Figlinq error codes, which take precedence over
+   * the response status.
+   */
+  const CODE_TO_ERROR: { [code: string]: typeof ServerConnection.ResponseError } = {
+    not_found: ServerConnection.NotFoundError,
+    permission_denied: ServerConnection.PermissionDeniedError,
+    not_authenticated: ServerConnection.PermissionDeniedError,
+    authentication_failed: ServerConnection.PermissionDeniedError,
+    conflict: ServerConnection.ConflictError,
+    file_exists: ServerConnection.ConflictError,
+    quota_exceeded: ServerConnection.QuotaExceededError,
+    file_size_limit_exceeded: ServerConnection.QuotaExceededError,
+    invalid: ServerConnection.ValidationError,
+    validation_error: ServerConnection.ValidationError,
+    parse_error: ServerConnection.ValidationError
+  };
+
+  /**
+   * The error types of the response statuses.
+   */
+  const STATUS_TO_ERROR: { [status: number]: typeof ServerConnection.ResponseError } = {
+    400: ServerConnection.ValidationError,
+    401: ServerConnection.PermissionDeniedError,
+    402: ServerConnection.QuotaExceededError,
+    403: ServerConnection.PermissionDeniedError,
+    404: ServerConnection.NotFoundError,
+    409: ServerConnection.ConflictError,
+    410: ServerConnection.NotFoundError,
+    412: ServerConnection.ConflictError,
+    413: ServerConnection.QuotaExceededError,
+    422: ServerConnection.ValidationError,
+    507: ServerConnection.QuotaExceededError
+  };
+
+  /**
+   * Get the error type of a failed response.
+   */
+  export function errorType(
+    status: number,
+    code?: string
+  ): typeof ServerConnection.ResponseError {
+    return (
+      (code && CODE_TO_ERROR[code]) ||
+      STATUS_TO_ERROR[status] ||
+      ServerConnection.ResponseError
+    );
+  }
+
+  /**
+   * The HTTP methods which can be safely sent again.
+   */
+  const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
   /**
    * Handle the server connection settings, returning a new value.
    */
@@ -245,6 +512,11 @@ namespace Private {
     // Otherwise fall back on the default wsUrl.
     wsUrl = wsUrl ?? pageWsUrl;
 
+    const retry: ServerConnection.IRetryOptions = {
+      ...DEFAULT_RETRY,
+      ...options.retry
+    };
+
     const defaultSerializer: ISerializer = {
       serialize: (data: any) => JSON.stringify(data),
       deserialize: (data: string) => JSON.parse(data)
@@ -267,7 +539,9 @@ namespace Private {
       baseUrl,
       queryParams,
       wsUrl,
-      serializer: defaultSerializer
+      serializer: defaultSerializer,
+      retry,
+      auth: options.auth ?? { credentials: null }
     };
   }
 
@@ -307,7 +581,11 @@ namespace Private {
     // Handle authentication. Authentication can be overdetermined by
     // settings token and XSRF token.
     let authenticated = false;
-    if (typeof document !== 'undefined' && document?.cookie) {
+    const credentials = settings.auth.credentials;
+    if (credentials) {
+      authenticated = true;
+      request.headers.set('Authorization', authorizationHeader(credentials));
+    } else if (typeof document !== 'undefined' && document?.cookie) {
       const xsrfToken = getCookie('plotly_csrf_on');
       if (xsrfToken !== undefined) {
         authenticated = true;
@@ -328,8 +606,105 @@ namespace Private {
       // Convert the TypeError into a more specific error.
       throw new ServerConnection.NetworkError(e);
     });
-    // TODO: *this* is probably where we need a system-wide connectionFailure
-    // signal we can hook into.
+  }
+
+  /**
+   * Get the `Authorization` header value of credentials.
+   */
+  function authorizationHeader(credentials: ServerConnection.Credentials): string {
+    if (credentials.type === 'token') {
+      return `Bearer ${credentials.token}`;
+    }
+    return `Basic ${btoa(`${credentials.username}:${credentials.apiKey}`)}`;
+  }
+
+  /**
+   * The pending login, shared by the requests rejected meanwhile.
+   */
+  let pendingLogin: Promise<boolean> | null = null;
+
+  /**
+   * Let the user log in, once for all the requests rejected at the same time.
+   */
+  export function login(auth: ServerConnection.IAuth, response: Response): Promise<boolean> {
+    if (!auth.login) {
+      return Promise.resolve(false);
+    }
+    if (!pendingLogin) {
+      pendingLogin = auth
+        .login(response)
+        .catch(error => {
+          console.error('Login failed', error);
+          return false;
+        })
+        .finally(() => {
+          pendingLogin = null;
+        });
+    }
+    return pendingLogin;
+  }
+
+  /**
+   * Whether requests with a given method can be safely sent again.
+   */
+  export function isIdempotent(method = 'GET'): boolean {
+    return IDEMPOTENT_METHODS.includes(method.toUpperCase());
+  }
+
+  /**
+   * Whether a request can be sent again after a response with a retried status.
+   *
+   * Other requests may have been handled before a proxy failed with `502` or
+   * `503`, sending them again could create duplicate files or revisions. They
+   * are only retried when the server did not handle them: on `429`, or on
+   * `503` with a `Retry-After` header.
+   */
+  export function canRetry(
+    retry: ServerConnection.IRetryOptions,
+    method: string | undefined,
+    response: Response
+  ): boolean {
+    if (!retry.statuses.includes(response.status)) {
+      return false;
+    }
+    if (isIdempotent(method)) {
+      return true;
+    }
+    return response.status === 429 || (response.status === 503 && response.headers.has('Retry-After'));
+  }
+
+  /**
+   * Get the delay before retrying a request, in ms.
+   *
+   * @param retry - The retry policy.
+   *
+   * @param attempt - The 0-based number of the failed attempt.
+   *
+   * @param response - The response of the failed attempt, if any.
+   */
+  export function retryDelay(
+    retry: ServerConnection.IRetryOptions,
+    attempt: number,
+    response?: Response
+  ): number {
+    const retryAfter = response?.headers.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds)
+        ? Date.parse(retryAfter) - Date.now()
+        : seconds * 1000;
+      if (!isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), retry.maxDelay);
+      }
+    }
+    return Math.min(retry.delay * 2 ** attempt, retry.maxDelay);
+  }
+
+  /**
+   * Resolve after a delay.
+   */
+  export function sleep(ms: number): Promise<void> {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   /**
@@ -0,0 +1,152 @@
+import { Clipboard, Dialog, showDialog } from '@jupyterlab/apputils';
+import { Widget } from '@lumino/widgets';
+import { Drive } from './drive';
+import { errorMessage } from './errors';
+
+/**
+ * The class name added to the share dialog body.
+ */
+const SHARE_CLASS = 'jp-FiglinqShare';
+
+/**
+ * The body of the share dialog.
+ *
+ * Changes are sent to Figlinq as soon as they are made, the dialog only has a
+ * button to close it.
+ */
+export class ShareDialogBody extends Widget {
+  /**
+   * Construct a new share dialog body.
+   *
+   * @param drive - The drive holding the file.
+   * @param path - The drive-local path of the file.
+   */
+  constructor(drive: Drive, path: string) {
+    super();
+    this.addClass(SHARE_CLASS);
+    this._drive = drive;
+    this._path = path;
+
+    const privacyLabel = document.createElement('label');
+    privacyLabel.className = `${SHARE_CLASS}-privacy`;
+    this._publicInput = document.createElement('input');
+    this._publicInput.type = 'checkbox';
+    this._publicInput.disabled = true;
+    this._publicInput.onchange = () => {
+      void this._run(() => this._drive.setWorldReadable(this._path, this._publicInput.checked));
+    };
+    privacyLabel.append(this._publicInput, ' Anyone with the link can view');
+
+    const addRow = document.createElement('div');
+    addRow.className = `${SHARE_CLASS}-add`;
+    this._usernameInput = document.createElement('input');
+    this._usernameInput.className = 'jp-mod-styled';
+    this._usernameInput.placeholder = 'Figlinq username';
+    const addButton = document.createElement('button');
+    addButton.className = 'jp-mod-styled jp-mod-accept';
+    addButton.textContent = 'Add';
+    addButton.onclick = () => this._addCollaborator();
+    this._usernameInput.onkeydown = event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.stopPropagation();
+        this._addCollaborator();
+      }
+    };
+    addRow.append(this._usernameInput, addButton);
+
+    this._collaboratorList = document.createElement('ul');
+    this._collaboratorList.className = `${SHARE_CLASS}-collaborators`;
+
+    const linkRow = document.createElement('div');
+    linkRow.className = `${SHARE_CLASS}-link`;
+    this._linkInput = document.createElement('input');
+    this._linkInput.className = 'jp-mod-styled';
+    this._linkInput.readOnly = true;
+    const copyButton = document.createElement('button');
+    copyButton.className = 'jp-mod-styled';
+    copyButton.textContent = 'Copy link';
+    copyButton.onclick = () => Clipboard.copyToSystem(this._linkInput.value);
+    linkRow.append(this._linkInput, copyButton);
+
+    this._status = document.createElement('div');
+    this._status.className = `${SHARE_CLASS}-status`;
+
+    this.node.append(privacyLabel, addRow, this._collaboratorList, linkRow, this._status);
+    void this._run(async () => undefined);
+  }
+
+  /**
+   * Share the file with the username in the input.
+   */
+  private _addCollaborator(): void {
+    const username = this._usernameInput.value.trim();
+    if (!username) {
+      return;
+    }
+    void this._run(async () => {
+      await this._drive.addCollaborator(this._path, username);
+      this._usernameInput.value = '';
+    });
+  }
+
+  /**
+   * Run a sharing change, then reload the sharing state of the file.
+   */
+  private async _run(change: () => Promise<void>): Promise<void> {
+    this._status.textContent = 'Loading…';
+    try {
+      await change();
+      this._render(await this._drive.getSharing(this._path));
+      this._status.textContent = '';
+    } catch (error) {
+      this._status.textContent = errorMessage(error);
+    }
+  }
+
+  /**
+   * Render the sharing state of the file.
+   */
+  private _render(sharing: Drive.ISharing): void {
+    this._publicInput.disabled = false;
+    this._publicInput.checked = sharing.worldReadable;
+    this._linkInput.value = sharing.link;
+
+    this._collaboratorList.replaceChildren(
+      ...sharing.collaborators.map(username => {
+        const item = document.createElement('li');
+        const remove = document.createElement('button');
+        remove.className = 'jp-mod-styled jp-mod-reject';
+        remove.textContent = 'Remove';
+        remove.onclick = () => {
+          void this._run(() => this._drive.removeCollaborator(this._path, username));
+        };
+        item.append(username, remove);
+        return item;
+      })
+    );
+  }
+
+  private _drive: Drive;
+  private _path: string;
+  private _publicInput: HTMLInputElement;
+  private _usernameInput: HTMLInputElement;
+  private _collaboratorList: HTMLUListElement;
+  private _linkInput: HTMLInputElement;
+  private _status: HTMLDivElement;
+}
+
+/**
+ * Show the share dialog for a file.
+ *
+ * @param drive - The drive holding the file.
+ * @param path - The drive-local path of the file.
+ */
+export async function showShareDialog(drive: Drive, path: string): Promise<void> {
+  const name = path.split('/').pop();
+  await showDialog({
+    title: `Share "${name}"`,
+    body: new ShareDialogBody(drive, path),
+    buttons: [Dialog.okButton({ label: 'Done' })]
+  });
+}
@@ -0,0 +1,56 @@
+import { TranslationBundle } from '@jupyterlab/translation';
+import { Widget } from '@lumino/widgets';
+import { ServerConnection } from './serverconnection';
+
+/**
+ * The class name added to the connection status item.
+ */
+const STATUS_CLASS = 'jp-FiglinqConnectionStatus';
+
+/**
+ * A status bar item showing the status of the connection to Figlinq.
+ */
+export class ConnectionStatusItem extends Widget {
+  /**
+   * Construct a new connection status item.
+   *
+   * @param trans - The translation bundle of the extension.
+   */
+  constructor(trans: TranslationBundle) {
+    super();
+    this._trans = trans;
+    this.addClass(STATUS_CLASS);
+    this._update(ServerConnection.getConnectionStatus());
+    ServerConnection.connectionStatus.connect(this._onStatusChanged, this);
+  }
+
+  /**
+   * Dispose of the resources held by the item.
+   */
+  dispose(): void {
+    ServerConnection.connectionStatus.disconnect(this._onStatusChanged, this);
+    super.dispose();
+  }
+
+  private _onStatusChanged(
+    _: unknown,
+    status: ServerConnection.ConnectionStatus
+  ): void {
+    this._update(status);
+  }
+
+  /**
+   * Render a connection status.
+   */
+  private _update(status: ServerConnection.ConnectionStatus): void {
+    const labels: { [key in ServerConnection.ConnectionStatus]: string } = {
+      connected: this._trans.__('Figlinq: connected'),
+      reconnecting: this._trans.__('Figlinq: reconnecting'),
+      offline: this._trans.__('Figlinq: offline')
+    };
+    this.node.textContent = labels[status];
+    this.node.dataset.status = status;
+  }
+
+  private _trans: TranslationBundle;
+}
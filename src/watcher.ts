@@ -0,0 +1,300 @@
+import { Contents } from '@jupyterlab/services';
+import { IDisposable } from '@lumino/disposable';
+import { ISignal, Signal } from '@lumino/signaling';
+import { Drive } from './drive';
+import { ServerConnection } from './serverconnection';
+
+/**
+ * The default interval between two checks for external changes, in ms.
+ */
+export const DEFAULT_WATCH_INTERVAL = 10000;
+
+/**
+ * A namespace for ChangeWatcher statics.
+ */
+export namespace ChangeWatcher {
+  /**
+   * The options used to initialize a `ChangeWatcher`.
+   */
+  export interface IOptions {
+    /**
+     * The drive to watch.
+     */
+    drive: Drive;
+
+    /**
+     * Get the drive-local path of the folder shown in the file browser, or
+     * `null` if the browser does not show this drive.
+     */
+    currentFolder: () => string | null;
+
+    /**
+     * Get the drive-local paths of the files open in the document area.
+     */
+    openFiles: () => string[];
+
+    /**
+     * The interval between two checks, in ms.
+     */
+    interval?: number;
+  }
+
+  /**
+   * An open file which changed on the server.
+   */
+  export interface IExternalChange {
+    /**
+     * The drive-local path of the file.
+     */
+    path: string;
+
+    /**
+     * The Figlinq file object of the file, or `null` if it was deleted.
+     */
+    file: any | null;
+  }
+}
+
+/**
+ * A watcher picking up changes made outside of the drive, e.g. in the Figlinq
+ * web app or by teammates.
+ *
+ * #### Notes
+ * The folder shown in the file browser and the open files are polled while the
+ * page is visible and the server can be reached. Folder listings are requested
+ * with the ETag of the previous listing, so unchanged folders cost a `304`.
+ * Open files are checked through the listings of their folders, one request
+ * per folder. Changes are reported through the `fileChanged` signal of the
+ * drive, and changes to open files through `openFileChanged`.
+ */
+export class ChangeWatcher implements IDisposable {
+  /**
+   * Construct a new change watcher.
+   *
+   * @param options - The options used to initialize the watcher.
+   */
+  constructor(options: ChangeWatcher.IOptions) {
+    this._drive = options.drive;
+    this._currentFolder = options.currentFolder;
+    this._openFiles = options.openFiles;
+    this._interval = options.interval ?? DEFAULT_WATCH_INTERVAL;
+    this._drive.fileChanged.connect(this._onFileChanged, this);
+    this._schedule();
+  }
+
+  /**
+   * A signal emitted when an open file changed on the server.
+   */
+  get openFileChanged(): ISignal<this, ChangeWatcher.IExternalChange> {
+    return this._openFileChanged;
+  }
+
+  /**
+   * Test whether the watcher has been disposed.
+   */
+  get isDisposed(): boolean {
+    return this._isDisposed;
+  }
+
+  /**
+   * Dispose of the resources held by the watcher.
+   */
+  dispose(): void {
+    if (this._isDisposed) {
+      return;
+    }
+    this._isDisposed = true;
+    window.clearTimeout(this._timer);
+    this._drive.fileChanged.disconnect(this._onFileChanged, this);
+    Signal.clearData(this);
+  }
+
+  /**
+   * Check the current folder and the open files for changes.
+   */
+  async check(): Promise<void> {
+    const folder = this._currentFolder();
+    if (folder !== null) {
+      await this._checkFolder(folder);
+    }
+    const openFiles = Array.from(new Set(this._openFiles()));
+    for (const path of Array.from(this._fileVersions.keys())) {
+      if (!openFiles.includes(path)) {
+        this._fileVersions.delete(path);
+      }
+    }
+    const folders = new Map<string, string[]>();
+    for (const path of openFiles) {
+      const folderPath = path.split('/').slice(0, -1).join('/');
+      folders.set(folderPath, [...(folders.get(folderPath) ?? []), path]);
+    }
+    for (const path of Array.from(this._openFolders.keys())) {
+      if (!folders.has(path)) {
+        this._openFolders.delete(path);
+      }
+    }
+    for (const [folderPath, paths] of folders) {
+      await this._checkFiles(folderPath, paths);
+    }
+  }
+
+  /**
+   * Schedule the next check.
+   */
+  private _schedule(): void {
+    if (this._isDisposed) {
+      return;
+    }
+    this._timer = window.setTimeout(async () => {
+      if (!document.hidden && ServerConnection.getConnectionStatus() === 'connected') {
+        try {
+          await this.check();
+        } catch (error) {
+          console.error('Error checking for external changes', error);
+        }
+      }
+      this._schedule();
+    }, this._interval);
+  }
+
+  /**
+   * Compare a folder listing with the previous one and report the changes.
+   */
+  private async _checkFolder(path: string): Promise<void> {
+    const before = this._folder;
+    const previous = before?.path === path ? before : null;
+    const listing = await this._drive.listFolderIfChanged(path, previous?.etag);
+    if (!listing) {
+      return;
+    }
+    const files = new Map<string, any>(listing.files.map(file => [file.fid, file]));
+    // A drive operation may have run during the request, wait for the next one
+    if (this._folder !== before) {
+      return;
+    }
+    this._folder = { path, etag: listing.etag, files };
+    if (!previous) {
+      return;
+    }
+
+    let changed = false;
+    this._emitting = true;
+    try {
+      for (const [fid, file] of files) {
+        const old = previous.files.get(fid);
+        if (!old) {
+          this._drive.notifyExternalChange('new', path, null, file);
+        } else if (old.filename !== file.filename) {
+          this._drive.notifyExternalChange('rename', path, old.filename, file);
+        } else if (old.date_modified !== file.date_modified) {
+          this._drive.notifyExternalChange('save', path, file.filename, file);
+        } else {
+          continue;
+        }
+        changed = true;
+      }
+      for (const [fid, old] of previous.files) {
+        if (!files.has(fid)) {
+          this._drive.notifyExternalChange('delete', path, old.filename, null);
+          changed = true;
+        }
+      }
+    } finally {
+      this._emitting = false;
+    }
+    if (changed) {
+      await this._drive.refreshBrowser();
+    }
+  }
+
+  /**
+   * Compare the versions of the open files of a folder with the last ones seen.
+   */
+  private async _checkFiles(folderPath: string, paths: string[]): Promise<void> {
+    let files: Map<string, any>;
+    if (this._folder?.path === folderPath) {
+      // The folder shown in the file browser was just listed
+      files = new Map(Array.from(this._folder.files.values(), file => [file.filename, file]));
+    } else {
+      const previous = this._openFolders.get(folderPath);
+      let listing: Drive.IFolderSnapshot | null;
+      try {
+        listing = await this._drive.listFolderIfChanged(folderPath, previous?.etag);
+      } catch (error) {
+        if (!(error instanceof ServerConnection.NotFoundError)) {
+          throw error;
+        }
+        listing = { etag: '', files: [] };
+      }
+      if (listing) {
+        files = new Map(listing.files.map(file => [file.filename, file]));
+        this._openFolders.set(folderPath, { path: folderPath, etag: listing.etag, files });
+      } else {
+        files = previous!.files;
+      }
+    }
+    for (const path of paths) {
+      this._checkVersion(path, files.get(path.split('/').pop()!) ?? null);
+    }
+  }
+
+  /**
+   * Compare the version of an open file with the last one seen.
+   *
+   * @param file - The Figlinq file object of the file, `null` if it was deleted.
+   */
+  private _checkVersion(path: string, file: any | null): void {
+    const seen = this._fileVersions.get(path);
+    const version = file ? file.date_modified : null;
+    this._fileVersions.set(path, version);
+    // Skip the first check and the versions saved from this drive
+    if (seen === undefined || seen === version || version === this._drive.getVersion(path)) {
+      return;
+    }
+    this._openFileChanged.emit({ path, file });
+  }
+
+  /**
+   * Drop the folder listing after a change made from this drive, so that the
+   * change is not reported again.
+   */
+  private _onFileChanged(_: Drive, change: Contents.IChangedArgs): void {
+    if (this._emitting || !this._folder) {
+      return;
+    }
+    const prefix = this._folder.path ? `${this._folder.path}/` : '';
+    const paths = [change.oldValue?.path, change.newValue?.path];
+    if (paths.some(path => typeof path === 'string' && path.startsWith(prefix))) {
+      this._folder = null;
+    }
+  }
+
+  private _drive: Drive;
+  private _currentFolder: () => string | null;
+  private _openFiles: () => string[];
+  private _interval: number;
+  private _timer = 0;
+  private _folder: Private.IFolderState | null = null;
+  private _fileVersions = new Map<string, string | null>();
+  private _openFolders = new Map<string, Private.IFolderState>();
+  private _emitting = false;
+  private _isDisposed = false;
+  private _openFileChanged = new Signal<this, ChangeWatcher.IExternalChange>(this);
+}
+
+/**
+ * A namespace for module private data.
+ */
+namespace Private {
+  /**
+   * The last listing of a watched folder.
+   *
+   * The files of the folder shown in the file browser are keyed by fid, the
+   * ones of the folders of the open files by filename.
+   */
+  export interface IFolderState {
+    path: string;
+    etag: string;
+    files: Map<string, any>;
+  }
+}